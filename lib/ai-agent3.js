@@ -3,6 +3,7 @@ import Groq from "groq-sdk";
 export class AIAgent3 {
   constructor(apiKey) {
     this.groq = new Groq({ apiKey: apiKey });
+    this.provider = "groq";
     // Switch to GPT-OSS as primary due to DeepSeek rate limits
     this.primaryModel = "openai/gpt-oss-120b";
     this.fallbackModel = "deepseek-r1-distill-llama-70b";
@@ -0,0 +1,218 @@
+import { Command, InvalidArgumentError } from "commander";
+import chalk from "chalk";
+import UICloneCLI from "./ui-clone-cli.js";
+
+function parseInteger(value) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    throw new InvalidArgumentError("Must be a non-negative integer.");
+  }
+  return parsed;
+}
+
+function parsePositiveInteger(value) {
+  const parsed = parseInteger(value);
+  if (parsed === 0) {
+    throw new InvalidArgumentError("Must be at least 1.");
+  }
+  return parsed;
+}
+
+function parsePercent(value) {
+  const parsed = parseFloat(value);
+  if (Number.isNaN(parsed) || parsed < 0 || parsed > 100) {
+    throw new InvalidArgumentError("Must be a percentage between 0 and 100.");
+  }
+  return parsed;
+}
+
+function parseViewport(value) {
+  const match = value.match(/^(\d+)x(\d+)$/i);
+  if (!match) {
+    throw new InvalidArgumentError("Use WIDTHxHEIGHT, e.g. 390x844.");
+  }
+  return { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+}
+
+function parseWidthList(value) {
+  const widths = value.split(",").map((width) => parseInt(width.trim(), 10));
+  if (widths.some((width) => Number.isNaN(width) || width <= 0)) {
+    throw new InvalidArgumentError("Use comma-separated pixel widths, e.g. 375,768,1440.");
+  }
+  return widths;
+}
+
+function parseFormat(value) {
+  const formats = ["folder", "single-file", "warc", "mhtml"];
+  if (!formats.includes(value)) {
+    throw new InvalidArgumentError(`Choose one of: ${formats.join(", ")}.`);
+  }
+  return value;
+}
+
+function parseType(value) {
+  const types = ["html", "react", "vue", "svelte"];
+  if (!types.includes(value)) {
+    throw new InvalidArgumentError(`Choose one of: ${types.join(", ")}.`);
+  }
+  return value;
+}
+
+function parseCss(value) {
+  const modes = ["original", "tailwind"];
+  if (!modes.includes(value)) {
+    throw new InvalidArgumentError(`Choose one of: ${modes.join(", ")}.`);
+  }
+  return value;
+}
+
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+// Options shared by the default command and `clone`
+function addCloneOptions(command) {
+  return command
+    .option("-o, --output <dir>", "Output directory", "./cloned-ui")
+    .option("-k, --api-key <key>", "Gemini API key")
+    .option("--no-ai", "Disable AI processing (preserve original HTML structure)")
+    .option("-d, --depth <n>", "Follow same-origin links up to n levels deep", parseInteger, 0)
+    .option("--max-pages <n>", "Maximum number of pages to clone when crawling", parsePositiveInteger, 20)
+    .option("--no-scroll", "Skip auto-scrolling before capture (lazy-loaded images may be missed)")
+    .option("--scroll-step <px>", "Pixels to scroll per step (default: one viewport height)", parseInteger)
+    .option("--scroll-limit <n>", "Maximum number of scroll steps, bounds infinite scroll", parseInteger, 50)
+    .option("--device <name>", 'Emulate a device, e.g. "iPhone 14" or "Pixel 7"')
+    .option("--viewport <WxH>", "Viewport size, e.g. 390x844", parseViewport)
+    .option("--breakpoints <widths>", "Also load the page at these widths, e.g. 375,768,1440", parseWidthList)
+    .option("--cookies <file>", "Cookie file to start the session with (Netscape cookies.txt or JSON)")
+    .option("-H, --header <header>", 'Extra request header, e.g. "Authorization: Bearer x" (repeatable)', collect)
+    .option("--header-host <host>", "Also send --header values to this host and its subdomains (repeatable)", collect)
+    .option("--storage <file>", "JSON file with localStorage/sessionStorage values to seed")
+    .option("--login-script <file>", "ES module run against the page before capture: export default async (page, { url }) => {}")
+    .option("--block-list <file>", "EasyList, uBlock or hosts-format list of requests to block (repeatable)", collect)
+    .option("--block <pattern>", 'Block requests matching a filter rule, e.g. "||ads.example.com^" (repeatable)', collect)
+    .option("--no-default-blocks", "Don't block the built-in list of analytics and ad trackers")
+    .option("--selector <css>", 'Clone only the element matching a CSS selector, e.g. "#pricing"')
+    .option("--remove-selector <css>", "Remove matching elements (modals, chat widgets) before capture (repeatable)", collect)
+    .option("--click-selector <css>", "Click matching elements (e.g. a banner's close button) after load (repeatable)", collect)
+    .option("--no-consent-rules", "Keep cookie banners from OneTrust, Cookiebot, Didomi and other consent managers")
+    .option("--flatten-shadow", "Move web component shadow DOM into plain light DOM")
+    .option("--prune", "Drop CSS rules that were never used during capture")
+    .option("--prune-js", "Also empty JS functions that never ran during capture; breaks click, hover and submit handlers")
+    .option("--static", "Freeze the rendered page and remove all scripts")
+    .option("-t, --type <type>", "Output type: html, or a react, vue or svelte Vite project", parseType, "html")
+    .option("--css <mode>", "CSS output: original stylesheets, or tailwind utilities resolved from computed styles", parseCss, "original")
+    .option("--format <format>", "Output format: folder, single-file, warc or mhtml", parseFormat, "folder")
+    .option("--inline-limit <kb>", "Largest asset inlined by --format single-file; bigger ones stay online", parseInteger, 1024)
+    .option("--record <file>", "Save all network traffic from the capture to a HAR file")
+    .option("--from-har <file>", "Clone offline, answering every request from a recorded HAR file")
+    .option("--concurrency <n>", "Maximum parallel asset downloads", parsePositiveInteger, 8)
+    .option("--per-host <n>", "Maximum parallel downloads from one host", parsePositiveInteger, 4)
+    .option("--retries <n>", "Retries for timeouts, 429 and 5xx responses, with exponential backoff", parseInteger, 3)
+    .option("--timeout <seconds>", "Timeout for each asset download", parsePositiveInteger, 10)
+    .option("--update", "Re-clone into an existing output directory, revalidating assets and removing orphans")
+    .option("--strict", "Exit with code 2 if any page or asset failed to download")
+    .option("--max-failures <n>", "Exit with code 2 if more than n pages or assets failed to download", parseInteger);
+}
+
+/**
+ * Build the ui-clone command line. `createCLI` makes the object the actions
+ * run against, so the parsed options can be checked without cloning.
+ */
+export function createProgram({ createCLI = () => new UICloneCLI() } = {}) {
+  const program = new Command();
+
+  // Options belong to the command they follow, so `clone <url> -o dir` and
+  // `verify <url> -o dir` aren't claimed by the default command's options
+  program.enablePositionalOptions();
+
+  addCloneOptions(program)
+    .name("ui-clone")
+    .description(
+      "🎨 AI-powered CLI to perfectly clone website UIs to HTML/CSS/JS"
+    )
+    .version("1.0.0")
+    .argument("[url]", "Website URL to clone")
+    .action(async (url, options) => {
+      try {
+        const cli = createCLI();
+
+        if (url) {
+          // Direct clone command
+          const result = await cli.cloneWebsite(url, options);
+          if (!result.passed) process.exit(2);
+        } else {
+          // Interactive mode
+          await cli.startInteractive();
+        }
+      } catch (error) {
+        console.error(chalk.red("❌ Error:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  addCloneOptions(
+    program
+      .command("clone <url>")
+      .description("Clone a website UI to HTML/CSS/JS")
+  )
+    .action(async (url, options) => {
+      try {
+        const cli = createCLI();
+        const result = await cli.cloneWebsite(url, options);
+        if (!result.passed) process.exit(2);
+      } catch (error) {
+        console.error(chalk.red("❌ Error:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("verify <url>")
+    .description("Compare a clone with the original page and write a visual diff report")
+    .option("-o, --output <dir>", "Clone directory to verify", "./cloned-ui")
+    .option("--page <path>", "Page inside the clone to compare", "index.html")
+    .option("--baseline <png>", "Compare against a saved screenshot instead of the live page")
+    .option("--device <name>", 'Emulate a device, e.g. "iPhone 14" or "Pixel 7"')
+    .option("--viewport <WxH>", "Viewport size, e.g. 390x844", parseViewport)
+    .option("--full-page", "Compare full-page screenshots instead of the first viewport")
+    .option("--threshold <percent>", "Minimum similarity; below it the command exits with code 2", parsePercent, 95)
+    .action(async (url, options) => {
+      try {
+        const cli = createCLI();
+        const result = await cli.verifyClone(url, options);
+        if (!result.passed) process.exit(2);
+      } catch (error) {
+        console.error(chalk.red("❌ Error:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("chat")
+    .description("Start interactive AI chat mode")
+    .action(async () => {
+      try {
+        const cli = createCLI();
+        await cli.startChat();
+      } catch (error) {
+        console.error(chalk.red("❌ Error:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("setup")
+    .description("Setup Gemini API key")
+    .action(async () => {
+      try {
+        const cli = createCLI();
+        await cli.setupApiKey();
+      } catch (error) {
+        console.error(chalk.red("❌ Error:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  return program;
+}
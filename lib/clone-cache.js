@@ -0,0 +1,52 @@
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+
+const CACHE_FILE = ".ui-clone-cache.json";
+
+export class CloneCache {
+  constructor({ assets = {}, pages = {}, files = [] } = {}) {
+    // assets: url -> { localPath, hash, etag, lastModified }
+    // pages: page path -> content hash; files: everything the clone wrote
+    this.assets = assets;
+    this.pages = pages;
+    this.files = files;
+  }
+
+  static async load(outputDir) {
+    const file = path.join(outputDir, CACHE_FILE);
+    if (!(await fs.pathExists(file))) {
+      console.warn(chalk.yellow(`⚠️ No previous clone found in ${outputDir}, cloning everything`));
+      return new CloneCache();
+    }
+    try {
+      return new CloneCache(await fs.readJson(file));
+    } catch {
+      console.warn(chalk.yellow(`⚠️ Unreadable ${CACHE_FILE}, cloning everything`));
+      return new CloneCache();
+    }
+  }
+
+  async save(outputDir, url) {
+    await fs.writeJson(
+      path.join(outputDir, CACHE_FILE),
+      {
+        url,
+        updatedAt: new Date().toISOString(),
+        assets: this.assets,
+        pages: this.pages,
+        files: this.files,
+      },
+      { spaces: 2 }
+    );
+  }
+
+  setAsset(url, localPath, hash, headers = {}) {
+    this.assets[url] = {
+      localPath,
+      hash,
+      etag: headers.etag || null,
+      lastModified: headers["last-modified"] || null,
+    };
+  }
+}
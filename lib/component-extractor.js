@@ -0,0 +1,292 @@
+import chalk from "chalk";
+import { parseRules, splitTopLevel, stripComments } from "./css-rules.js";
+
+// At-rules whose children are filtered one by one
+const GROUP_AT_RULES = ["media", "supports", "layer", "container", "scope", "starting-style", "document"];
+
+// At-rules kept only when the remaining CSS refers to them by name
+const REFERENCED_AT_RULES = ["font-face", "keyframes", "-webkit-keyframes", "-moz-keyframes", "property", "counter-style"];
+
+// What an ancestor passes down to the component: inherited properties
+const INHERITED_PROPERTY =
+  /^(color|font|font-[\w-]+|line-height|letter-spacing|word-spacing|text-(align|indent|transform|shadow|rendering|underline-offset|decoration-skip-ink)|white-space|direction|visibility|cursor|quotes|list-style(-[\w-]+)?|tab-size|hyphens|word-break|overflow-wrap|caret-color|color-scheme|-webkit-font-smoothing|-moz-osx-font-smoothing|-webkit-text-size-adjust|text-size-adjust)$/i;
+
+// Pseudo-elements and interaction states can't be tested with matches(), but
+// the element they belong to can
+const PSEUDO_ELEMENT =
+  /::?(before|after|first-line|first-letter|marker|placeholder|selection|backdrop|file-selector-button)(?![\w-])|::[\w-]+(\([^)]*\))?/gi;
+const STATE_PSEUDO_CLASS =
+  /:(hover|focus|focus-within|focus-visible|active|visited|target|(-webkit|-moz|-ms)-[\w-]+)(?![\w-])(\([^)]*\))?/gi;
+
+export class ComponentExtractor {
+  constructor(cssResolver) {
+    // Linked stylesheets are fetched and their @imports inlined by the
+    // cloner's resolver, so failures are recorded like any other stylesheet
+    this.cssResolver = cssResolver;
+    this.stats = { rulesBefore: 0, rulesAfter: 0 };
+  }
+
+  /**
+   * Cut the element matching `selector` out of the live page and resolve to
+   * a standalone HTML document holding just that subtree and the CSS that
+   * applies to it.
+   */
+  async extract(page, selector) {
+    const component = await page.evaluate((selector) => {
+      const target = document.querySelector(selector);
+      if (!target) return null;
+
+      // Empty copies of the ancestors keep descendant selectors such as
+      // ".pricing-section .card" matching; <html>/<body> only lend attributes
+      let node = target.cloneNode(true);
+      node.querySelectorAll("script").forEach((script) => script.remove());
+      for (let el = target.parentElement; el && el !== document.body; el = el.parentElement) {
+        if (el === document.documentElement) break;
+        const shell = el.cloneNode(false);
+        shell.appendChild(node);
+        node = shell;
+      }
+
+      // Whatever shows through behind the component on the page
+      let background = null;
+      for (let el = target; el && !background; el = el.parentElement) {
+        const color = getComputedStyle(el).backgroundColor;
+        if (color && color !== "transparent" && color !== "rgba(0, 0, 0, 0)") background = color;
+      }
+
+      const attributes = (el) => Array.from(el?.attributes || [], ({ name, value }) => [name, value]);
+
+      // Stylesheets in cascade order. CSS-in-JS libraries insert rules that
+      // never show up in a <style> element's text, so read those from the CSSOM.
+      const sheets = [];
+      for (const sheet of [...document.styleSheets, ...(document.adoptedStyleSheets || [])]) {
+        if (sheet.disabled) continue;
+        const media = sheet.media?.mediaText || "";
+        if (sheet.href) {
+          sheets.push({ href: sheet.href, media });
+          continue;
+        }
+        let text;
+        try {
+          text = Array.from(sheet.cssRules, (rule) => rule.cssText).join("\n");
+        } catch {
+          text = sheet.ownerNode?.textContent || "";
+        }
+        sheets.push({ text, media });
+      }
+
+      return {
+        markup: node.outerHTML,
+        htmlAttributes: attributes(document.documentElement),
+        bodyAttributes: attributes(document.body),
+        background,
+        sheets,
+      };
+    }, selector);
+
+    if (!component) {
+      throw new Error(`No element matches ${selector}`);
+    }
+
+    const css = await this.loadStylesheets(component.sheets, page.url());
+    const scoped = await this.scopeCSS(page, selector, css, component.markup);
+    console.log(
+      chalk.gray(
+        `🧩 Kept ${this.stats.rulesAfter} of ${this.stats.rulesBefore} CSS rules for ${selector}`
+      )
+    );
+
+    return this.renderDocument(component, scoped);
+  }
+
+  async loadStylesheets(sheets, pageUrl) {
+    let css = "";
+    for (const { href, text, media } of sheets) {
+      let resolved;
+      try {
+        resolved = href
+          ? await this.cssResolver.resolve(await this.cssResolver.fetchStylesheet(href), href)
+          : await this.cssResolver.resolve(text, pageUrl);
+      } catch {
+        // Already recorded as a failed stylesheet by the resolver
+        continue;
+      }
+      css += this.cssResolver.wrapConditions(resolved, media) + "\n";
+    }
+    return css;
+  }
+
+  /**
+   * Keep the rules that match the component or one of its descendants, the
+   * inherited and custom properties its ancestors set, and the @font-face,
+   * @keyframes and @property rules those refer to. Media queries are kept
+   * around whatever survives, so every breakpoint keeps working.
+   */
+  async scopeCSS(page, selector, css, markup) {
+    const selectors = new Set();
+    this.collectSelectors(css, 0, css.length, selectors);
+    const matches = await this.matchSelectors(page, selector, [...selectors]);
+
+    // First pass: what applies, with every custom property an ancestor sets
+    this.stats = { rulesBefore: 0, rulesAfter: 0 };
+    const candidate = this.filterRules(css, 0, css.length, { matches, used: null });
+
+    // Second pass: drop ancestor custom properties nothing refers to and add
+    // the named at-rules that are referenced
+    const usage = candidate + "\n" + markup;
+    const used = {
+      text: usage,
+      variables: new Set(Array.from(usage.matchAll(/var\(\s*(--[\w-]+)/g), (match) => match[1])),
+    };
+    this.stats = { rulesBefore: 0, rulesAfter: 0 };
+    return this.filterRules(css, 0, css.length, { matches, used });
+  }
+
+  collectSelectors(css, start, end, selectors) {
+    for (const rule of parseRules(css, start, end)) {
+      if (rule.blockStart === -1) continue;
+      const prelude = stripComments(rule.prelude).trim();
+      const atRule = prelude.match(/^@([\w-]+)/);
+      if (atRule) {
+        if (GROUP_AT_RULES.includes(atRule[1].toLowerCase())) {
+          this.collectSelectors(css, rule.blockStart + 1, rule.blockEnd, selectors);
+        }
+        continue;
+      }
+      splitTopLevel(prelude, ",").forEach((item) => selectors.add(item));
+    }
+  }
+
+  async matchSelectors(page, selector, selectors) {
+    const testable = selectors.map((item) => this.toTestableSelector(item));
+    const results = await page.evaluate(
+      (selector, testable) => {
+        const target = document.querySelector(selector);
+        const ancestors = [];
+        for (let el = target.parentElement; el; el = el.parentElement) ancestors.push(el);
+
+        return testable.map((item) => {
+          try {
+            // querySelector on the target still matches against the whole
+            // document, so ".page #pricing .card" works as it did in place
+            if (target.matches(item) || target.querySelector(item)) return "subtree";
+            if (ancestors.some((el) => el.matches(item))) return "ancestor";
+          } catch {
+            // Selectors the browser doesn't understand never applied either
+          }
+          return null;
+        });
+      },
+      selector,
+      testable
+    );
+    return new Map(selectors.map((item, i) => [item, results[i]]));
+  }
+
+  toTestableSelector(selector) {
+    // A compound that was only a pseudo-class (":hover > a") matches anything
+    const strip = (text, pattern) =>
+      text.replace(pattern, (match, ...args) => {
+        const before = text[args[args.length - 2] - 1];
+        return !before || /[\s>+~(,]/.test(before) ? "*" : "";
+      });
+    // ":not(:hover)" holds whenever nobody is hovering, i.e. always
+    const withoutNegatedStates = selector.replace(
+      new RegExp(`:not\\(\\s*${STATE_PSEUDO_CLASS.source}\\s*\\)`, "gi"),
+      ""
+    );
+    return strip(strip(withoutNegatedStates, PSEUDO_ELEMENT), STATE_PSEUDO_CLASS).trim();
+  }
+
+  filterRules(css, start, end, context) {
+    let output = "";
+    for (const rule of parseRules(css, start, end)) {
+      const text = css.slice(rule.start, rule.end);
+
+      if (rule.blockStart === -1) {
+        // @charset only belongs at the very top; layer order and imports stay
+        if (/^\s*@(import|layer|namespace)\b/i.test(stripComments(text))) output += text;
+        continue;
+      }
+
+      const prelude = stripComments(rule.prelude).trim();
+      const atRule = prelude.match(/^@([\w-]+)\s*(.*)$/s);
+
+      if (atRule) {
+        const name = atRule[1].toLowerCase();
+        if (GROUP_AT_RULES.includes(name)) {
+          const inner = this.filterRules(css, rule.blockStart + 1, rule.blockEnd, context);
+          if (inner.trim()) output += `\n${prelude} {${inner}\n}`;
+        } else if (REFERENCED_AT_RULES.includes(name)) {
+          if (context.used && this.isReferenced(name, atRule[2], css, rule, context.used)) {
+            output += "\n" + text.trim();
+          }
+        }
+        continue;
+      }
+
+      this.stats.rulesBefore++;
+      const matched = splitTopLevel(prelude, ",").map((item) => context.matches.get(item));
+
+      if (matched.includes("subtree")) {
+        this.stats.rulesAfter++;
+        output += "\n" + text.trim();
+      } else if (matched.includes("ancestor")) {
+        const declarations = splitTopLevel(css.slice(rule.blockStart + 1, rule.blockEnd), ";")
+          .filter((declaration) => {
+            const property = declaration.split(":")[0].trim();
+            if (property.startsWith("--")) {
+              return !context.used || context.used.variables.has(property);
+            }
+            return INHERITED_PROPERTY.test(property);
+          });
+        if (declarations.length > 0) {
+          this.stats.rulesAfter++;
+          output += `\n${prelude} { ${declarations.join("; ")}; }`;
+        }
+      }
+    }
+    return output;
+  }
+
+  isReferenced(name, prelude, css, rule, used) {
+    const contains = (value) =>
+      new RegExp(`(^|[^\\w-])${value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}([^\\w-]|$)`, "i").test(
+        used.text
+      );
+
+    if (name === "font-face") {
+      const family = css
+        .slice(rule.blockStart + 1, rule.blockEnd)
+        .match(/font-family\s*:\s*(['"]?)([^;'"]+)\1/i);
+      return !family || contains(family[2].trim());
+    }
+    if (name === "property") return used.variables.has(prelude.trim());
+    // @keyframes and @counter-style are used by name
+    return contains(prelude.trim().replace(/^(['"])(.*)\1$/, "$2"));
+  }
+
+  renderDocument({ markup, htmlAttributes, bodyAttributes, background }, css) {
+    const escape = (value) => value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+    const attributes = (list) =>
+      list.map(([name, value]) => ` ${name}="${escape(value)}"`).join("");
+
+    // The demo page shows the component on the background it had in place
+    const demoStyle = `padding: 24px;${background ? ` background-color: ${background};` : ""}`;
+    const body = bodyAttributes.filter(([name]) => name !== "style");
+    const bodyStyle = bodyAttributes.find(([name]) => name === "style")?.[1];
+
+    return `<!DOCTYPE html>
+<html${attributes(htmlAttributes)}>
+<head>
+<meta charset="utf-8">
+<style>${css}
+</style>
+</head>
+<body${attributes(body)} style="${escape([bodyStyle, demoStyle].filter(Boolean).join("; "))}">
+${markup}
+</body>
+</html>
+`;
+  }
+}
@@ -0,0 +1,57 @@
+// Consent managers whose banners would otherwise end up in every clone.
+// `click` rejects optional cookies, so the banner closes the way it would for
+// a visitor and stays closed on later crawled pages. `remove` takes out what
+// is left, including the loader script that would rebuild the banner when the
+// clone is opened.
+export const CONSENT_RULES = [
+  {
+    name: "OneTrust",
+    click: ["#onetrust-reject-all-handler"],
+    remove: [
+      "#onetrust-consent-sdk",
+      "#onetrust-banner-sdk",
+      ".onetrust-pc-dark-filter",
+      "script[src*='cdn.cookielaw.org']",
+      "script[src*='otSDKStub']",
+    ],
+  },
+  {
+    name: "Cookiebot",
+    click: ["#CybotCookiebotDialogBodyButtonDecline"],
+    remove: [
+      "#CybotCookiebotDialog",
+      "#CybotCookiebotDialogBodyUnderlay",
+      "script#Cookiebot",
+      "script[src*='consent.cookiebot.com']",
+    ],
+  },
+  {
+    name: "Didomi",
+    click: ["#didomi-notice-disagree-button"],
+    remove: ["#didomi-host", "script[src*='sdk.privacy-center.org']"],
+  },
+  {
+    name: "Usercentrics",
+    click: [],
+    remove: [
+      "#usercentrics-root",
+      "#usercentrics-cmp-ui",
+      "script[src*='usercentrics.eu']",
+    ],
+  },
+  {
+    name: "TrustArc",
+    click: [],
+    remove: [
+      "#truste-consent-track",
+      ".truste_overlay",
+      ".truste_box_overlay",
+      "script[src*='consent.trustarc.com']",
+    ],
+  },
+  {
+    name: "Quantcast Choice",
+    click: [],
+    remove: ["#qc-cmp2-container", ".qc-cmp2-container", "script[src*='quantcast.mgr.consensu.org']"],
+  },
+];
@@ -0,0 +1,243 @@
+import chalk from "chalk";
+import { parseRules, skipString } from "./css-rules.js";
+
+// At-rules whose contents are never "used" in the coverage sense but are
+// needed whenever the stylesheet is kept
+const KEEP_AT_RULES = [
+  "font-face",
+  "keyframes",
+  "-webkit-keyframes",
+  "-moz-keyframes",
+  "property",
+  "counter-style",
+  "font-feature-values",
+  "font-palette-values",
+  "page",
+];
+
+// At-rules that group other rules; their children are pruned individually
+const GROUP_AT_RULES = ["supports", "layer", "container", "scope", "starting-style", "document"];
+
+// Rules for interaction states can't show up in a static capture
+const STATE_SELECTOR =
+  /:(hover|focus|focus-within|focus-visible|active|visited|checked|target|disabled|enabled|invalid|valid|indeterminate|placeholder-shown|open|popover-open|modal|fullscreen|user-invalid|user-valid)\b/i;
+
+export class CoveragePruner {
+  constructor({ css = true, js = false } = {}) {
+    // JS pruning is opt-in: handlers for clicks, hovers and submits never run
+    // during a capture, so coverage calls them unused
+    this.css = css;
+    this.js = js;
+    this.cssRanges = new Map();
+    this.jsFunctions = new Map();
+    this.activeMediaQueries = new Set();
+    this.stats = { cssBefore: 0, cssAfter: 0, jsBefore: 0, jsAfter: 0 };
+  }
+
+  async start(page) {
+    // Keep coverage across navigations so every crawled page contributes
+    await Promise.all([
+      this.css && page.coverage.startCSSCoverage({ resetOnNavigation: false }),
+      this.js &&
+        page.coverage.startJSCoverage({
+          resetOnNavigation: false,
+          includeRawScriptCoverage: true,
+        }),
+    ]);
+  }
+
+  async stop(page) {
+    const [cssCoverage, jsCoverage] = await Promise.all([
+      this.css ? page.coverage.stopCSSCoverage() : [],
+      this.js ? page.coverage.stopJSCoverage() : [],
+    ]);
+
+    // Entries are keyed by text: inline <style>/<script> blocks share the
+    // page URL, and the same file may be covered once per crawled page
+    for (const { text, ranges } of cssCoverage) {
+      if (!this.cssRanges.has(text)) this.cssRanges.set(text, []);
+      this.cssRanges.get(text).push(...ranges);
+    }
+
+    for (const { text, rawScriptCoverage } of jsCoverage) {
+      if (!rawScriptCoverage) continue;
+      if (!this.jsFunctions.has(text)) this.jsFunctions.set(text, new Map());
+      const functions = this.jsFunctions.get(text);
+
+      for (const fn of rawScriptCoverage.functions) {
+        const [range] = fn.ranges;
+        const key = `${range.startOffset}:${range.endOffset}`;
+        // A function is unused only if no page ever called it
+        functions.set(key, functions.get(key) || range.count > 0);
+      }
+    }
+  }
+
+  addActiveMediaQueries(queries) {
+    queries.forEach((query) => this.activeMediaQueries.add(query));
+  }
+
+  pruneCSS(css) {
+    const ranges = this.cssRanges.get(css);
+    // Sheets the browser never applied (e.g. fetched as a fallback) stay intact
+    if (!ranges) return css;
+
+    const pruned = this.pruneRules(css, 0, css.length, ranges);
+    this.stats.cssBefore += css.length;
+    this.stats.cssAfter += pruned.length;
+    return pruned;
+  }
+
+  pruneRules(css, start, end, ranges) {
+    let output = "";
+    for (const rule of parseRules(css, start, end)) {
+      const text = css.slice(rule.start, rule.end);
+
+      // Statements (@import, @charset, @layer a, b;) and anything unparsable
+      if (rule.blockStart === -1) {
+        output += text;
+        continue;
+      }
+
+      const prelude = rule.prelude.trim();
+      const atRule = prelude.match(/^@([\w-]+)\s*(.*)$/s);
+
+      if (atRule) {
+        const [, name, condition] = atRule;
+        const lowerName = name.toLowerCase();
+
+        if (KEEP_AT_RULES.includes(lowerName)) {
+          output += text;
+        } else if (lowerName === "media") {
+          // Only media blocks that matched during capture say anything about
+          // usage; the rest apply at breakpoints that were not emulated
+          if (!this.activeMediaQueries.has(condition.trim())) {
+            output += text;
+          } else {
+            const inner = this.pruneRules(css, rule.blockStart + 1, rule.blockEnd, ranges);
+            if (inner.trim()) output += css.slice(rule.start, rule.blockStart + 1) + inner + "}";
+          }
+        } else if (GROUP_AT_RULES.includes(lowerName)) {
+          const inner = this.pruneRules(css, rule.blockStart + 1, rule.blockEnd, ranges);
+          if (inner.trim()) output += css.slice(rule.start, rule.blockStart + 1) + inner + "}";
+        } else {
+          output += text;
+        }
+        continue;
+      }
+
+      const used = ranges.some((range) => range.start < rule.end && range.end > rule.start);
+      if (used || STATE_SELECTOR.test(prelude)) {
+        output += text;
+      }
+    }
+    return output;
+  }
+
+  pruneJS(js) {
+    const functions = this.jsFunctions.get(js);
+    if (!functions) return js;
+
+    // Outermost functions that never ran; nested ones go with them
+    const unused = [...functions]
+      .filter(([, called]) => !called)
+      .map(([key]) => key.split(":").map(Number))
+      .filter(([start, end]) => start > 0 || end < js.length)
+      .sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+
+    const outermost = [];
+    for (const [start, end] of unused) {
+      const parent = outermost[outermost.length - 1];
+      if (parent && start >= parent[0] && end <= parent[1]) continue;
+      outermost.push([start, end]);
+    }
+
+    // Empty each body in place, keeping the declaration so references stay valid
+    let pruned = "";
+    let lastIndex = 0;
+    for (const [start, end] of outermost) {
+      const bodyStart = this.findBodyStart(js, start, end);
+      if (bodyStart === -1) continue;
+      pruned += js.slice(lastIndex, bodyStart + 1) + "}";
+      lastIndex = end;
+    }
+    pruned += js.slice(lastIndex);
+
+    this.stats.jsBefore += js.length;
+    this.stats.jsAfter += pruned.length;
+    return pruned;
+  }
+
+  findBodyStart(js, start, end) {
+    // The body is the brace block that closes exactly at the end of the
+    // function's range; arrow functions with expression bodies have none
+    if (js[end - 1] !== "}") return -1;
+
+    const openers = [];
+    let previous = "";
+    for (let i = start; i < end; i++) {
+      const char = js[i];
+
+      if (char === "/" && js[i + 1] === "/") {
+        const close = js.indexOf("\n", i);
+        i = close === -1 ? end : close;
+        continue;
+      }
+      if (char === "/" && js[i + 1] === "*") {
+        const close = js.indexOf("*/", i + 2);
+        i = close === -1 ? end : close + 1;
+        continue;
+      }
+      if (char === '"' || char === "'" || char === "`") {
+        i = skipString(js, i, end);
+        previous = char;
+        continue;
+      }
+      // A slash after an operator or opening bracket starts a regex literal
+      if (char === "/" && (previous === "" || "(,=:[!&|?{};+-*%<>~^".includes(previous))) {
+        i = this.skipRegex(js, i, end);
+        previous = "/";
+        continue;
+      }
+
+      if (char === "{") {
+        openers.push(i);
+      } else if (char === "}") {
+        const opener = openers.pop();
+        if (i === end - 1) return opener ?? -1;
+      }
+      if (!/\s/.test(char)) previous = char;
+    }
+    return -1;
+  }
+
+  skipRegex(text, index, end) {
+    let inClass = false;
+    for (let i = index + 1; i < end; i++) {
+      const char = text[i];
+      if (char === "\\") {
+        i++;
+      } else if (char === "[") {
+        inClass = true;
+      } else if (char === "]") {
+        inClass = false;
+      } else if (char === "/" && !inClass) {
+        return i;
+      } else if (char === "\n") {
+        return i;
+      }
+    }
+    return end;
+  }
+
+  report() {
+    const { cssBefore, cssAfter, jsBefore, jsAfter } = this.stats;
+    const percent = (before, after) =>
+      before > 0 ? Math.round((1 - after / before) * 100) : 0;
+    const parts = [
+      this.css && `${percent(cssBefore, cssAfter)}% of CSS`,
+      this.js && `${percent(jsBefore, jsAfter)}% of JS`,
+    ].filter(Boolean);
+    console.log(chalk.gray(`✂️ Pruned ${parts.join(" and ")} by coverage`));
+  }
+}
@@ -0,0 +1,202 @@
+import chalk from "chalk";
+import { parseRules, stripComments } from "./css-rules.js";
+
+const IMPORT_REGEX =
+  /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)\s*([^;]*);/gi;
+const URL_REGEX = /url\(\s*(['"]?)(.*?)\1\s*\)/g;
+
+export class CSSResolver {
+  constructor(fetchStylesheet) {
+    // fetchStylesheet(url) resolves to the stylesheet's text
+    this.fetchStylesheet = fetchStylesheet;
+  }
+
+  /**
+   * Inline every @import (recursively) and make every url() absolute against
+   * the stylesheet that declared it, so the result can be moved anywhere.
+   */
+  async resolve(css, baseUrl, ancestors = new Set()) {
+    const chain = new Set(ancestors).add(baseUrl);
+    const imports = [...css.matchAll(IMPORT_REGEX)];
+
+    let resolved = "";
+    let lastIndex = 0;
+    for (const match of imports) {
+      resolved += this.absolutizeUrls(css.slice(lastIndex, match.index), baseUrl);
+      resolved += await this.inlineImport(match, baseUrl, chain);
+      lastIndex = match.index + match[0].length;
+    }
+    resolved += this.absolutizeUrls(css.slice(lastIndex), baseUrl);
+
+    return resolved;
+  }
+
+  async inlineImport(match, baseUrl, chain) {
+    const href = match[2] || match[4];
+    const conditions = match[5].trim();
+    const absolute = this.resolveUrl(href, baseUrl);
+    if (!absolute) return "";
+
+    // Import cycles would never terminate
+    if (chain.has(absolute)) return "";
+
+    try {
+      const text = await this.fetchStylesheet(absolute);
+      const imported = await this.resolve(
+        text.replace(/^\uFEFF?\s*@charset\s+[^;]+;/i, ""),
+        absolute,
+        chain
+      );
+      return this.wrapConditions(imported, conditions) + "\n";
+    } catch (error) {
+      console.warn(chalk.yellow(`❌ Failed CSS import: ${absolute}`));
+      // Keep the rule pointing online rather than silently dropping it
+      return `@import url("${absolute}")${conditions ? " " + conditions : ""};`;
+    }
+  }
+
+  wrapConditions(css, conditions) {
+    const { layer: layerName, supports: supportsCondition, media } = this.parseConditions(conditions);
+    let wrapped = css;
+
+    if (media && media.toLowerCase() !== "all") {
+      wrapped = `@media ${media} {\n${wrapped}\n}`;
+    }
+    if (supportsCondition) {
+      const condition = supportsCondition.startsWith("(")
+        ? supportsCondition
+        : `(${supportsCondition})`;
+      wrapped = `@supports ${condition} {\n${wrapped}\n}`;
+    }
+    if (layerName !== null) {
+      wrapped = `@layer${layerName ? " " + layerName : ""} {\n${wrapped}\n}`;
+    }
+
+    return wrapped;
+  }
+
+  parseConditions(conditions) {
+    // @import url(x) layer(name) supports(cond) media-list;
+    let rest = conditions.trim();
+
+    const layer = rest.match(/^layer(?:\(([^)]*)\))?\s*/i);
+    let layerName = null;
+    if (layer) {
+      layerName = layer[1] ? layer[1].trim() : "";
+      rest = rest.slice(layer[0].length);
+    }
+
+    const supports = rest.match(/^supports\(((?:[^()]|\([^()]*\))*)\)\s*/i);
+    let supportsCondition = null;
+    if (supports) {
+      supportsCondition = supports[1].trim();
+      rest = rest.slice(supports[0].length);
+    }
+
+    return { layer: layerName, supports: supportsCondition, media: rest.trim() };
+  }
+
+  /**
+   * Move @imports that could not be inlined to the top, where they are
+   * valid. An import left inside the @media, @supports or @layer block a
+   * stylesheet was wrapped in takes that block's condition along.
+   */
+  hoistImports(css) {
+    const imports = [];
+    const rest = this.collectImports(css, 0, css.length, { layer: null, supports: null, media: "" }, imports);
+    return imports.length > 0 ? imports.join("\n") + "\n" + rest : css;
+  }
+
+  collectImports(css, start, end, context, imports) {
+    let output = "";
+    for (const rule of parseRules(css, start, end)) {
+      const text = css.slice(rule.start, rule.end);
+      const statement = stripComments(text).trim();
+
+      if (rule.blockStart === -1) {
+        const match = statement.match(/^@import\s+(url\([^)]*\)|(['"]).*?\2)\s*([^;]*);$/is);
+        const hoisted = match && this.scopeImport(match[1], match[3], context);
+        if (hoisted) {
+          imports.push(hoisted);
+          continue;
+        }
+        output += text;
+        continue;
+      }
+
+      const block = rule.prelude.trim().match(/^@(media|supports|layer)\b\s*(.*)$/is);
+      const inner = block && this.nestConditions(context, block[1].toLowerCase(), block[2].trim());
+      if (!inner) {
+        output += text;
+        continue;
+      }
+      output +=
+        css.slice(rule.start, rule.blockStart + 1) +
+        this.collectImports(css, rule.blockStart + 1, rule.blockEnd, inner, imports) +
+        "}";
+    }
+    return output;
+  }
+
+  nestConditions(context, type, condition) {
+    // null when the nesting can't be written as @import conditions
+    if (type === "media") {
+      if (!condition || condition.toLowerCase() === "all") return context;
+      if (!context.media) return { ...context, media: condition };
+      // "screen, print" or "not screen" don't survive being joined with "and"
+      if (/,/.test(context.media + condition) || /^not\b/i.test(context.media)) return null;
+      if (!condition.startsWith("(")) return null;
+      return { ...context, media: `${context.media} and ${condition}` };
+    }
+    if (type === "supports") {
+      const supports = context.supports ? `(${context.supports}) and (${condition})` : condition;
+      return { ...context, supports };
+    }
+    // Named layers nest as a.b; nothing can be named inside an anonymous one
+    if (context.layer === "") return null;
+    if (!condition) return context.layer === null ? { ...context, layer: "" } : null;
+    return { ...context, layer: context.layer ? `${context.layer}.${condition}` : condition };
+  }
+
+  scopeImport(url, conditions, context) {
+    if (context.layer === null && !context.supports && !context.media) {
+      return `@import ${url}${conditions ? " " + conditions : ""};`;
+    }
+
+    const own = this.parseConditions(conditions);
+    let scoped = context;
+    if (own.layer !== null) scoped = this.nestConditions(scoped, "layer", own.layer);
+    if (scoped && own.supports) scoped = this.nestConditions(scoped, "supports", own.supports);
+    if (scoped) scoped = this.nestConditions(scoped, "media", own.media);
+    if (!scoped) return null;
+
+    const parts = [`url(${url.replace(/^url\((.*)\)$/is, "$1")})`];
+    if (scoped.layer !== null) parts.push(scoped.layer ? `layer(${scoped.layer})` : "layer");
+    if (scoped.supports) {
+      // supports((display: grid)) reads better as supports(display: grid)
+      const single = scoped.supports.match(/^\(((?:[^()]|\([^()]*\))*)\)$/);
+      parts.push(`supports(${single ? single[1] : scoped.supports})`);
+    }
+    if (scoped.media) parts.push(scoped.media);
+    return `@import ${parts.join(" ")};`;
+  }
+
+  absolutizeUrls(css, baseUrl) {
+    return css.replace(URL_REGEX, (match, quote, url) => {
+      // Leave inline data and same-document references (e.g. SVG filters) alone
+      if (!url || /^(data|blob|about):/i.test(url) || url.startsWith("#")) {
+        return match;
+      }
+      const absolute = this.resolveUrl(url, baseUrl);
+      return absolute ? `url("${absolute}")` : match;
+    });
+  }
+
+  resolveUrl(url, baseUrl) {
+    try {
+      return new URL(url.trim(), baseUrl).href;
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,102 @@
+// Helpers for walking stylesheet text without a full CSS parser. Offsets
+// always index into the original text so callers can slice rules verbatim.
+
+/**
+ * Split a rule list into top-level rules, skipping comments and strings.
+ * Block rules report where their { and } are; statements (@import, @layer a;)
+ * and trailing garbage have blockStart -1.
+ */
+export function parseRules(css, start = 0, end = css.length) {
+  const rules = [];
+  let ruleStart = start;
+  let blockStart = -1;
+  let depth = 0;
+
+  for (let i = start; i < end; i++) {
+    const char = css[i];
+
+    if (char === "/" && css[i + 1] === "*") {
+      const close = css.indexOf("*/", i + 2);
+      i = close === -1 ? end : close + 1;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      i = skipString(css, i, end);
+      continue;
+    }
+
+    if (char === "{") {
+      if (depth === 0) blockStart = i;
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (depth === 0) {
+        rules.push({
+          start: ruleStart,
+          end: i + 1,
+          prelude: css.slice(ruleStart, blockStart),
+          blockStart,
+          blockEnd: i,
+        });
+        ruleStart = i + 1;
+        blockStart = -1;
+      }
+      if (depth < 0) depth = 0;
+    } else if (char === ";" && depth === 0) {
+      rules.push({ start: ruleStart, end: i + 1, prelude: "", blockStart: -1, blockEnd: -1 });
+      ruleStart = i + 1;
+    }
+  }
+
+  if (ruleStart < end) {
+    rules.push({ start: ruleStart, end, prelude: "", blockStart: -1, blockEnd: -1 });
+  }
+  return rules;
+}
+
+export function skipString(text, index, end) {
+  const quote = text[index];
+  for (let i = index + 1; i < end; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return end;
+}
+
+/**
+ * Split text on a separator that is not inside strings, parentheses or
+ * brackets, e.g. declarations on ";" (data: URLs contain semicolons) or
+ * selector lists on ",".
+ */
+export function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let partStart = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "/" && text[i + 1] === "*") {
+      const close = text.indexOf("*/", i + 2);
+      i = close === -1 ? text.length : close + 1;
+    } else if (char === '"' || char === "'") {
+      i = skipString(text, i, text.length);
+    } else if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth = Math.max(depth - 1, 0);
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(partStart, i));
+      partStart = i + 1;
+    }
+  }
+  parts.push(text.slice(partStart));
+
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+export function stripComments(text) {
+  return text.replace(/\/\*[\s\S]*?\*\//g, "");
+}
@@ -0,0 +1,155 @@
+import axios from "axios";
+
+// Worth another try: timeouts, rate limits and server-side hiccups
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+export class DownloadQueue {
+  constructor({
+    concurrency = 8,
+    perHost = 4,
+    retries = 3,
+    timeout = 10000,
+    baseDelay = 500,
+    maxDelay = 60000,
+    onProgress,
+  } = {}) {
+    this.concurrency = concurrency;
+    this.perHost = perHost;
+    this.retries = retries;
+    this.timeout = timeout;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.onProgress = onProgress;
+
+    this.waiting = [];
+    this.active = 0;
+    this.activeByHost = new Map();
+    this.pausedUntil = new Map();
+    this.wakeTimer = null;
+    this.stats = { total: 0, completed: 0, failed: 0, retries: 0 };
+  }
+
+  /**
+   * Queue a GET request and resolve to the axios response once it succeeds,
+   * or reject after the last retry.
+   */
+  fetch(url, { headers = {}, validateStatus } = {}) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({
+        url,
+        host: this.getHost(url),
+        headers,
+        validateStatus,
+        attempt: 0,
+        notBefore: 0,
+        resolve,
+        reject,
+      });
+      this.stats.total++;
+      this.reportProgress();
+      this.next();
+    });
+  }
+
+  next() {
+    const now = Date.now();
+    for (let i = 0; i < this.waiting.length && this.active < this.concurrency; ) {
+      const task = this.waiting[i];
+      const busy = (this.activeByHost.get(task.host) || 0) >= this.perHost;
+      const paused =
+        task.notBefore > now || (this.pausedUntil.get(task.host) || 0) > now;
+      if (busy || paused) {
+        i++;
+        continue;
+      }
+      this.waiting.splice(i, 1);
+      this.run(task);
+    }
+    this.scheduleWake(now);
+  }
+
+  scheduleWake(now) {
+    // Tasks backing off only become runnable with time, not when others finish
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = null;
+    const times = this.waiting
+      .map((task) => Math.max(task.notBefore, this.pausedUntil.get(task.host) || 0))
+      .filter((time) => time > now);
+    if (times.length > 0) {
+      this.wakeTimer = setTimeout(() => this.next(), Math.min(...times) - now);
+    }
+  }
+
+  async run(task) {
+    this.active++;
+    this.activeByHost.set(task.host, (this.activeByHost.get(task.host) || 0) + 1);
+
+    try {
+      const response = await axios({
+        method: "GET",
+        url: task.url,
+        responseType: "arraybuffer",
+        timeout: this.timeout,
+        headers: task.headers,
+        ...(task.validateStatus && { validateStatus: task.validateStatus }),
+      });
+      this.stats.completed++;
+      task.resolve(response);
+    } catch (error) {
+      if (task.attempt < this.retries && this.isRetryable(error)) {
+        const delay = this.getRetryDelay(error.response, task.attempt);
+        task.attempt++;
+        task.notBefore = Date.now() + delay;
+        // A rate limit applies to the whole host, not just this URL
+        if ([429, 503].includes(error.response?.status)) {
+          this.pausedUntil.set(task.host, task.notBefore);
+        }
+        this.stats.retries++;
+        this.waiting.push(task);
+      } else {
+        this.stats.failed++;
+        task.reject(error);
+      }
+    } finally {
+      this.active--;
+      this.activeByHost.set(task.host, this.activeByHost.get(task.host) - 1);
+      this.reportProgress();
+      this.next();
+    }
+  }
+
+  isRetryable(error) {
+    if (!axios.isAxiosError(error)) return false;
+    // No response at all means a network error or timeout; unknown hosts stay unknown
+    if (!error.response) return !["ENOTFOUND", "ERR_INVALID_URL"].includes(error.code);
+    return RETRYABLE_STATUS.includes(error.response.status);
+  }
+
+  getRetryDelay(response, attempt) {
+    // Retry-After is either seconds or an HTTP date
+    const retryAfter = response?.headers?.["retry-after"];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds)
+        ? new Date(retryAfter).getTime() - Date.now()
+        : seconds * 1000;
+      if (!Number.isNaN(delay)) return Math.min(Math.max(delay, 0), this.maxDelay);
+    }
+
+    // Exponential backoff with jitter so retries don't arrive in lockstep
+    const backoff = this.baseDelay * 2 ** attempt;
+    return Math.min(backoff + Math.random() * backoff * 0.5, this.maxDelay);
+  }
+
+  reportProgress() {
+    this.onProgress?.({ ...this.stats, active: this.active, waiting: this.waiting.length });
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return "";
+    }
+  }
+}
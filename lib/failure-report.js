@@ -0,0 +1,76 @@
+import chalk from "chalk";
+
+const CAUSE_LABELS = {
+  "not-found": "Not found (404/410)",
+  dns: "DNS lookup failed",
+  timeout: "Timed out",
+  blocked: "Blocked (401/403/451 or a block rule)",
+  "server-error": "Server error (5xx)",
+  "http-error": "Other HTTP error",
+  offline: "Not available offline",
+  connection: "Connection failed",
+  other: "Other",
+};
+
+export class FailureReport {
+  constructor(failures = []) {
+    // Entries come from WebsiteCloner.recordFailure: { url, kind, cause, reason }
+    this.failures = failures;
+  }
+
+  /**
+   * Sort an axios, Puppeteer or replay error into one of CAUSE_LABELS.
+   */
+  static classify(error) {
+    const status = error.response?.status;
+    const text = `${error.code || ""} ${error.message || ""}`;
+
+    if (status === 404 || status === 410) return "not-found";
+    if ([401, 403, 407, 451].includes(status) || /BLOCKED/i.test(text)) return "blocked";
+    if (status >= 500) return "server-error";
+    if (status) return "http-error";
+    if (/ENOTFOUND|EAI_AGAIN|ERR_NAME_NOT_RESOLVED/.test(text)) return "dns";
+    if (/ECONNABORTED|ETIMEDOUT|TIMED_OUT|timeout/i.test(text)) return "timeout";
+    if (/INTERNET_DISCONNECTED|Not recorded in HAR/.test(text)) return "offline";
+    if (/ECONNREFUSED|ECONNRESET|EPIPE|CONNECTION|ERR_SSL|CERT_/.test(text)) return "connection";
+    return "other";
+  }
+
+  get count() {
+    return this.failures.length;
+  }
+
+  groupBy(key) {
+    const groups = new Map();
+    for (const failure of this.failures) {
+      if (!groups.has(failure[key])) groups.set(failure[key], []);
+      groups.get(failure[key]).push(failure);
+    }
+    return groups;
+  }
+
+  /**
+   * Whether the failures exceed --strict (none allowed) or --max-failures.
+   */
+  exceeds({ strict = false, maxFailures } = {}) {
+    if (strict) return this.count > 0;
+    return maxFailures !== undefined && this.count > maxFailures;
+  }
+
+  print() {
+    if (this.count === 0) return;
+
+    const byKind = [...this.groupBy("kind")]
+      .map(([kind, failures]) => `${kind} ${failures.length}`)
+      .join(", ");
+    console.log(chalk.yellow(`\n❗ ${this.count} failures (${byKind}):`));
+
+    const byCause = [...this.groupBy("cause")].sort((a, b) => b[1].length - a[1].length);
+    for (const [cause, failures] of byCause) {
+      console.log(chalk.yellow(`  ${CAUSE_LABELS[cause] || cause} — ${failures.length}`));
+      for (const { kind, url, reason } of failures) {
+        console.log(chalk.gray(`    ${kind.padEnd(10)} ${url} (${reason})`));
+      }
+    }
+  }
+}
@@ -0,0 +1,245 @@
+import puppeteer from "puppeteer";
+import http from "http";
+import fs from "fs-extra";
+import path from "path";
+import { lookup } from "mime-types";
+import chalk from "chalk";
+import { WebsiteCloner } from "./website-cloner.js";
+
+export class FidelityVerifier {
+  constructor() {
+    // Screenshots use the same device emulation as cloning
+    this.cloner = new WebsiteCloner();
+  }
+
+  /**
+   * Screenshot the original (or a saved baseline) and the served clone at the
+   * same viewport, diff them and write a report. Resolves to the score and
+   * whether it met the threshold.
+   */
+  async verify(url, options = {}) {
+    const {
+      outputDir = "./cloned-ui",
+      pagePath = "index.html",
+      baseline,
+      device,
+      viewport,
+      fullPage = false,
+      threshold = 95,
+      reportDir = path.join(outputDir, "verify"),
+    } = options;
+
+    if (!(await fs.pathExists(path.join(outputDir, pagePath)))) {
+      throw new Error(`No cloned page at ${path.join(outputDir, pagePath)}`);
+    }
+    await fs.ensureDir(reportDir);
+
+    const { server, baseUrl } = await this.serve(outputDir);
+    const browser = await puppeteer.launch({
+      headless: "new",
+      args: ["--no-sandbox", "--disable-setuid-sandbox"],
+    });
+
+    try {
+      const page = await browser.newPage();
+      await this.cloner.emulate(page, { device, viewport });
+
+      let original;
+      if (baseline) {
+        console.log(chalk.gray(`🖼️ Using baseline ${baseline}`));
+        original = await fs.readFile(baseline);
+      } else {
+        console.log(chalk.gray(`🌐 Screenshotting original ${url}...`));
+        original = await this.screenshot(page, url, fullPage);
+      }
+
+      console.log(chalk.gray(`🌐 Screenshotting clone ${pagePath}...`));
+      const clone = await this.screenshot(page, new URL(pagePath, baseUrl).href, fullPage);
+
+      console.log(chalk.gray("🔍 Comparing screenshots..."));
+      const diff = await this.compare(page, original, clone);
+
+      const similarity = Math.round((1 - diff.diffPixels / diff.totalPixels) * 10000) / 100;
+      const result = {
+        similarity,
+        threshold,
+        passed: similarity >= threshold,
+        diffPixels: diff.diffPixels,
+        totalPixels: diff.totalPixels,
+        reportPath: path.join(reportDir, "report.html"),
+      };
+
+      await Promise.all([
+        fs.writeFile(path.join(reportDir, "original.png"), original),
+        fs.writeFile(path.join(reportDir, "clone.png"), clone),
+        fs.writeFile(path.join(reportDir, "diff.png"), diff.image),
+      ]);
+      await fs.writeFile(result.reportPath, this.renderReport(url, pagePath, result));
+
+      return result;
+    } finally {
+      await browser.close();
+      server.close();
+    }
+  }
+
+  async screenshot(page, url, fullPage) {
+    await page.goto(url, { waitUntil: "networkidle2", timeout: 30000 });
+    // Let entrance animations and font swaps settle
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    return Buffer.from(await page.screenshot({ type: "png", fullPage }));
+  }
+
+  async compare(page, original, clone) {
+    // Diff in the browser's canvas so no image libraries are needed. Colour
+    // distance uses YIQ, which weighs brightness like the eye does.
+    await page.goto("about:blank");
+    const result = await page.evaluate(
+      async (originalSrc, cloneSrc) => {
+        const loadImage = (src) =>
+          new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error("Could not decode screenshot"));
+            img.src = src;
+          });
+        const [a, b] = await Promise.all([loadImage(originalSrc), loadImage(cloneSrc)]);
+
+        // Compare on the larger canvas; area only one image covers counts as different
+        const width = Math.max(a.width, b.width);
+        const height = Math.max(a.height, b.height);
+        const pixels = (img) => {
+          const canvas = document.createElement("canvas");
+          canvas.width = width;
+          canvas.height = height;
+          const context = canvas.getContext("2d");
+          context.drawImage(img, 0, 0);
+          return context.getImageData(0, 0, width, height).data;
+        };
+        const pa = pixels(a);
+        const pb = pixels(b);
+
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext("2d");
+        const output = context.createImageData(width, height);
+
+        // pixelmatch's default: 0.1 of the largest possible YIQ distance
+        const maxDelta = 35215 * 0.1 * 0.1;
+        const blend = (channel, alpha) => 255 + (channel - 255) * (alpha / 255);
+        const yiq = (p, i) => {
+          const r = blend(p[i], p[i + 3]);
+          const g = blend(p[i + 1], p[i + 3]);
+          const bl = blend(p[i + 2], p[i + 3]);
+          return [
+            r * 0.29889531 + g * 0.58662247 + bl * 0.11448223,
+            r * 0.59597799 - g * 0.2741761 - bl * 0.32180189,
+            r * 0.21147017 - g * 0.52261711 + bl * 0.31114694,
+          ];
+        };
+
+        let diffPixels = 0;
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const inA = x < a.width && y < a.height;
+            const inB = x < b.width && y < b.height;
+
+            let different = inA !== inB;
+            if (inA && inB) {
+              const [y1, i1, q1] = yiq(pa, i);
+              const [y2, i2, q2] = yiq(pb, i);
+              const delta =
+                0.5053 * (y1 - y2) ** 2 + 0.299 * (i1 - i2) ** 2 + 0.1957 * (q1 - q2) ** 2;
+              different = delta > maxDelta;
+            }
+
+            if (different) {
+              diffPixels++;
+              output.data.set([255, 0, 0, 255], i);
+            } else {
+              // Faded original for context
+              const gray = 255 - (255 - (pa[i] + pa[i + 1] + pa[i + 2]) / 3) * 0.1;
+              output.data.set([gray, gray, gray, 255], i);
+            }
+          }
+        }
+
+        context.putImageData(output, 0, 0);
+        return {
+          diffPixels,
+          totalPixels: width * height,
+          image: canvas.toDataURL("image/png"),
+        };
+      },
+      `data:image/png;base64,${original.toString("base64")}`,
+      `data:image/png;base64,${clone.toString("base64")}`
+    );
+
+    return {
+      ...result,
+      image: Buffer.from(result.image.split(",")[1], "base64"),
+    };
+  }
+
+  serve(rootDir) {
+    // Minimal static server so the clone loads over http like it would in use
+    const root = path.resolve(rootDir);
+    const server = http.createServer(async (req, res) => {
+      try {
+        let filePath = path.join(root, decodeURIComponent(new URL(req.url, "http://x").pathname));
+        if (!filePath.startsWith(root)) throw new Error("Outside the clone");
+        if ((await fs.stat(filePath)).isDirectory()) filePath = path.join(filePath, "index.html");
+
+        res.writeHead(200, { "Content-Type": lookup(filePath) || "application/octet-stream" });
+        fs.createReadStream(filePath).pipe(res);
+      } catch {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+
+    return new Promise((resolve) => {
+      server.listen(0, "127.0.0.1", () => {
+        resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}/` });
+      });
+    });
+  }
+
+  renderReport(url, pagePath, result) {
+    const escape = (text) =>
+      String(text).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+    const status = result.passed ? "passed" : "failed";
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Clone fidelity: ${result.similarity}%</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    .score { font-size: 2.5rem; font-weight: bold; }
+    .passed { color: #1a7f37; }
+    .failed { color: #cf222e; }
+    .images { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem; }
+    figure { margin: 0; }
+    img { width: 100%; border: 1px solid #ddd; }
+  </style>
+</head>
+<body>
+  <h1>Clone fidelity report</h1>
+  <p>Original: <a href="${escape(url)}">${escape(url)}</a><br>Clone: ${escape(pagePath)}</p>
+  <p class="score ${status}">${result.similarity}% similar</p>
+  <p>Threshold ${result.threshold}%: <strong class="${status}">${status}</strong>.
+    ${result.diffPixels.toLocaleString()} of ${result.totalPixels.toLocaleString()} pixels differ.</p>
+  <div class="images">
+    <figure><img src="original.png" alt="Original"><figcaption>Original</figcaption></figure>
+    <figure><img src="clone.png" alt="Clone"><figcaption>Clone</figcaption></figure>
+    <figure><img src="diff.png" alt="Differences"><figcaption>Differences (red)</figcaption></figure>
+  </div>
+</body>
+</html>
+`;
+  }
+}
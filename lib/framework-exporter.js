@@ -0,0 +1,781 @@
+import fs from "fs-extra";
+import path from "path";
+import { load } from "cheerio";
+import chalk from "chalk";
+import { splitTopLevel } from "./css-rules.js";
+
+const FRAMEWORKS = {
+  react: {
+    label: "React",
+    extension: ".jsx",
+    entry: "src/main.jsx",
+    mountId: "root",
+    dependencies: { react: "^18.3.1", "react-dom": "^18.3.1" },
+    devDependencies: { vite: "^5.4.0", "@vitejs/plugin-react": "^4.3.1" },
+    plugin: { name: "react", from: "@vitejs/plugin-react", default: true },
+  },
+  vue: {
+    label: "Vue",
+    extension: ".vue",
+    entry: "src/main.js",
+    mountId: "app",
+    dependencies: { vue: "^3.4.0" },
+    devDependencies: { vite: "^5.4.0", "@vitejs/plugin-vue": "^5.1.0" },
+    plugin: { name: "vue", from: "@vitejs/plugin-vue", default: true },
+  },
+  svelte: {
+    label: "Svelte",
+    extension: ".svelte",
+    entry: "src/main.js",
+    mountId: "app",
+    dependencies: {},
+    devDependencies: {
+      vite: "^5.4.0",
+      svelte: "^5.0.0",
+      "@sveltejs/vite-plugin-svelte": "^4.0.0",
+    },
+    plugin: { name: "svelte", from: "@sveltejs/vite-plugin-svelte", default: false },
+  },
+};
+
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+]);
+
+// Children of these are laid out one per line; anything else keeps its
+// children on one line so whitespace between inline elements survives
+const BLOCK_ELEMENTS = new Set([
+  "address", "article", "aside", "blockquote", "details", "dialog", "div", "dl", "dd", "dt",
+  "fieldset", "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6",
+  "header", "hr", "li", "main", "nav", "ol", "p", "pre", "section", "summary", "table",
+  "tbody", "td", "tfoot", "th", "thead", "tr", "ul",
+]);
+
+// Top-level landmarks get descriptive names; multi-word names never clash
+// with the element they wrap
+const LANDMARK_NAMES = {
+  header: "SiteHeader",
+  nav: "SiteNav",
+  main: "MainContent",
+  aside: "Sidebar",
+  footer: "SiteFooter",
+};
+
+// Component names that would read as HTML elements in Vue and Svelte templates
+const HTML_ELEMENT_NAMES = new Set([
+  "header", "footer", "nav", "main", "section", "article", "aside", "button", "table", "form",
+  "menu", "label", "input", "select", "option", "summary", "details", "picture", "figure",
+  "video", "audio", "title", "code", "time", "data", "template", "slot", "dialog", "search",
+  "image", "link", "content", "app",
+]);
+
+// HTML attribute names React spells differently
+const REACT_ATTRIBUTES = {
+  class: "className",
+  for: "htmlFor",
+  tabindex: "tabIndex",
+  readonly: "readOnly",
+  maxlength: "maxLength",
+  minlength: "minLength",
+  colspan: "colSpan",
+  rowspan: "rowSpan",
+  srcset: "srcSet",
+  srcdoc: "srcDoc",
+  srclang: "srcLang",
+  hreflang: "hrefLang",
+  charset: "charSet",
+  accesskey: "accessKey",
+  crossorigin: "crossOrigin",
+  autocomplete: "autoComplete",
+  autofocus: "autoFocus",
+  autoplay: "autoPlay",
+  playsinline: "playsInline",
+  enctype: "encType",
+  contenteditable: "contentEditable",
+  spellcheck: "spellCheck",
+  frameborder: "frameBorder",
+  allowfullscreen: "allowFullScreen",
+  novalidate: "noValidate",
+  formnovalidate: "formNoValidate",
+  formaction: "formAction",
+  datetime: "dateTime",
+  itemprop: "itemProp",
+  itemscope: "itemScope",
+  itemtype: "itemType",
+  cellpadding: "cellPadding",
+  cellspacing: "cellSpacing",
+  usemap: "useMap",
+  referrerpolicy: "referrerPolicy",
+  fetchpriority: "fetchPriority",
+  inputmode: "inputMode",
+  enterkeyhint: "enterKeyHint",
+  "xlink:href": "xlinkHref",
+  "xml:space": "xmlSpace",
+  "xml:lang": "xmlLang",
+  "xmlns:xlink": "xmlnsXlink",
+};
+const NAMESPACED_ATTRIBUTES = ["xlink:href", "xml:space", "xml:lang", "xmlns:xlink"];
+
+const BOOLEAN_ATTRIBUTES = new Set([
+  "allowfullscreen", "async", "autofocus", "autoplay", "checked", "controls", "default", "defer",
+  "disabled", "formnovalidate", "hidden", "inert", "itemscope", "loop", "multiple", "muted",
+  "nomodule", "novalidate", "open", "playsinline", "readonly", "required", "reversed", "selected",
+]);
+
+const TAILWIND_DEPENDENCIES = { tailwindcss: "^3.4.0", postcss: "^8.4.0", autoprefixer: "^10.4.0" };
+
+// Props React reserves for itself
+const RESERVED_PROPS = new Set(["key", "ref", "children"]);
+
+export class FrameworkExporter {
+  constructor(framework, { tailwind = null } = {}) {
+    if (!FRAMEWORKS[framework]) {
+      throw new Error(`Unknown framework: ${framework}`);
+    }
+    this.framework = framework;
+    this.config = FRAMEWORKS[framework];
+    // TailwindConverter whose utilities the markup uses, for --css tailwind
+    this.tailwind = tailwind;
+    this.components = [];
+    // element -> component it is an instance of
+    this.instances = new Map();
+    this.bySignature = new Map();
+    this.signatures = new Map();
+    this.names = new Set(["App"]);
+  }
+
+  /**
+   * Turn a folder build (page, style.css, script.js and assets/) into a Vite
+   * project with the page split into components.
+   */
+  async export(buildDir, outputDir, { pagePath = "index.html", url } = {}) {
+    const $ = load(await fs.readFile(path.join(buildDir, pagePath), "utf8"));
+    const pageDir = path.join(buildDir, path.dirname(pagePath));
+
+    // <style> blocks (head enhancements, flattened shadow roots) join the
+    // global stylesheet; scripts run from public/ once the app has mounted
+    const stylesheet = path.join(pageDir, "style.css");
+    let css = (await fs.pathExists(stylesheet)) ? await fs.readFile(stylesheet, "utf8") : "";
+    $("style").each((_, el) => {
+      css += "\n" + $(el).html();
+      $(el).remove();
+    });
+    $("script").remove();
+    const hasScript = await fs.pathExists(path.join(pageDir, "script.js"));
+
+    // Vite serves public/ from the root
+    this.localizeAssets($);
+    css = css.replace(/url\(\s*(['"]?)assets\//g, "url($1/assets/");
+
+    const body = $("body")[0];
+    this.splitSections(this.findContainer(body));
+    this.findRepeats(body);
+    this.components.filter((component) => component.repeated).forEach((c) => this.computeSlots(c));
+
+    const app = { name: "App", root: body, repeated: false };
+    const files = {
+      "package.json": this.renderPackageJson(url),
+      "vite.config.js": this.renderViteConfig(),
+      "index.html": this.renderIndexHtml($),
+      [this.config.entry]: this.renderMain(),
+      [`src/App${this.config.extension}`]: this.renderComponent(app, { hasScript }),
+      "src/style.css": this.renderStylesheet(css),
+    };
+    if (this.tailwind) {
+      // Tailwind compiles the utilities from the templates at build time
+      files["tailwind.config.js"] = this.tailwind.renderConfig([
+        "./index.html",
+        `./src/**/*${this.config.extension}`,
+      ]);
+      files["postcss.config.js"] = this.renderPostcssConfig();
+    }
+    for (const component of this.components) {
+      files[`src/components/${component.name}${this.config.extension}`] =
+        this.renderComponent(component);
+    }
+
+    for (const [file, content] of Object.entries(files)) {
+      await fs.outputFile(path.join(outputDir, file), content);
+    }
+    if (await fs.pathExists(path.join(buildDir, "assets"))) {
+      await fs.copy(path.join(buildDir, "assets"), path.join(outputDir, "public", "assets"));
+    }
+    if (hasScript) {
+      await fs.copy(path.join(pageDir, "script.js"), path.join(outputDir, "public", "script.js"));
+    }
+
+    console.log(
+      chalk.gray(
+        `🧱 Exported ${this.components.length} components as a ${this.config.label} + Vite project`
+      )
+    );
+    return { mainFile: "index.html", files: Object.keys(files) };
+  }
+
+  /**
+   * Where a file from the folder build ends up in the project.
+   */
+  getOutputPath(buildPath) {
+    if (buildPath.startsWith("assets/")) return `public/${buildPath}`;
+    if (buildPath === "style.css") return "src/style.css";
+    if (buildPath === "script.js") return "public/script.js";
+    return buildPath;
+  }
+
+  localizeAssets($) {
+    $("*").each((_, el) => {
+      for (const [name, value] of Object.entries(el.attribs)) {
+        let updated = value;
+        if (name === "srcset") {
+          updated = value.replace(/(^|,\s*)assets\//g, "$1/assets/");
+        } else if (name === "style") {
+          updated = value.replace(/url\(\s*(['"]?)assets\//g, "url($1/assets/");
+        } else if (value.startsWith("assets/")) {
+          updated = "/" + value;
+        }
+        if (updated !== value) el.attribs[name] = updated;
+      }
+    });
+  }
+
+  findContainer(body) {
+    // Frameworks wrap everything in one or two divs (#root, #__next, ...)
+    let container = body;
+    for (;;) {
+      const children = this.getElementChildren(container);
+      if (children.length !== 1 || LANDMARK_NAMES[children[0].name]) break;
+      if (this.getElementChildren(children[0]).length === 0) break;
+      container = children[0];
+    }
+    return container;
+  }
+
+  splitSections(container, nested = false) {
+    const children = this.getElementChildren(container);
+    const repeated = this.groupRepeated(children);
+    repeated.forEach((group) => this.addRepeated(group));
+
+    for (const el of children) {
+      if (this.instances.has(el) || this.countElements(el) < 3) continue;
+      const fallback = nested ? "ContentSection" : "PageSection";
+      const name = this.getName(el, (!nested && LANDMARK_NAMES[el.name]) || null, fallback);
+      this.addComponent({ name, root: el, repeated: false });
+      // The main landmark is usually where the page's sections live
+      if (!nested && el.name === "main") this.splitSections(el, true);
+    }
+  }
+
+  findRepeats(el) {
+    const children = this.getElementChildren(el).filter((child) => !this.instances.has(child));
+    this.groupRepeated(children).forEach((group) => this.addRepeated(group));
+
+    for (const child of this.getElementChildren(el)) {
+      // Every copy of a repeated element renders from props; only sections
+      // have markup of their own to search
+      if (this.instances.get(child)?.repeated) continue;
+      this.findRepeats(child);
+    }
+  }
+
+  groupRepeated(elements) {
+    const groups = new Map();
+    for (const el of elements) {
+      if (this.countElements(el) < 3) continue;
+      const signature = this.getSignature(el);
+      if (!groups.has(signature)) groups.set(signature, []);
+      groups.get(signature).push(el);
+    }
+    return [...groups.values()].filter((group) => group.length > 1);
+  }
+
+  addRepeated(group) {
+    // The same structure elsewhere on the page reuses the component
+    const signature = this.getSignature(group[0]);
+    let component = this.bySignature.get(signature);
+    if (!component) {
+      component = this.addComponent({
+        name: this.getName(group[0], null, "RepeatedItem"),
+        root: group[0],
+        repeated: true,
+        copies: [],
+      });
+      this.bySignature.set(signature, component);
+    }
+    for (const el of group) {
+      component.copies.push(el);
+      this.instances.set(el, component);
+    }
+  }
+
+  addComponent(component) {
+    this.components.push(component);
+    this.instances.set(component.root, component);
+    return component;
+  }
+
+  getSignature(el) {
+    // Same tags, classes and text positions in the same order: text and
+    // other attributes may differ and become props
+    if (!this.signatures.has(el)) {
+      const children = this.getContentNodes(el).map((node) =>
+        node.type === "text" ? "#" : this.getSignature(node)
+      );
+      this.signatures.set(el, `${el.name}.${el.attribs.class || ""}(${children.join(",")})`);
+    }
+    return this.signatures.get(el);
+  }
+
+  /**
+   * Find the text and attributes that differ between copies of a repeated
+   * element. Each becomes a prop of the component; `props` holds every
+   * copy's values.
+   */
+  computeSlots(component) {
+    component.textSlots = new Map();
+    component.attributeSlots = new Map();
+    component.props = new Map(component.copies.map((copy) => [copy, []]));
+    const used = new Set();
+
+    const visit = (nodes) => {
+      const [template] = nodes;
+      if (template.type === "text") {
+        const values = nodes.map((node) => this.collapse(node.data));
+        if (values.every((value) => value === values[0])) return;
+        const prop = this.getPropName(this.getTextPropBase(template.parent), used);
+        component.textSlots.set(template, prop);
+        nodes.forEach((node, i) => component.props.get(component.copies[i]).push([prop, values[i]]));
+        return;
+      }
+
+      const names = new Set(nodes.flatMap((node) => Object.keys(node.attribs)));
+      for (const name of names) {
+        const values = nodes.map((node) => node.attribs[name]);
+        if (values.every((value) => value === values[0])) continue;
+        const prop = this.getPropName(REACT_ATTRIBUTES[name] || this.toCamelCase(name), used);
+        if (!component.attributeSlots.has(template)) component.attributeSlots.set(template, new Map());
+        component.attributeSlots.get(template).set(name, prop);
+        nodes.forEach((node, i) => {
+          if (values[i] !== undefined) {
+            component.props.get(component.copies[i]).push([prop, values[i], name]);
+          }
+        });
+      }
+
+      const children = nodes.map((node) => this.getContentNodes(node));
+      children[0].forEach((_, i) => visit(children.map((list) => list[i])));
+    };
+    visit(component.copies);
+  }
+
+  getTextPropBase(parent) {
+    if (/^h[1-6]$/.test(parent.name)) return "title";
+    if (["a", "button"].includes(parent.name)) return "label";
+    if (parent.name === "li") return "item";
+    return "text";
+  }
+
+  getPropName(base, used) {
+    const name = RESERVED_PROPS.has(base) ? `${base}Value` : base;
+    let unique = name;
+    for (let i = 2; used.has(unique); i++) unique = `${name}${i}`;
+    used.add(unique);
+    return unique;
+  }
+
+  getName(el, preferred, fallback) {
+    // An id or class says what a block is; hashed CSS-in-JS names and
+    // Tailwind utilities don't
+    const classes = this.tailwind ? [] : (el.attribs.class || "").split(/\s+/);
+    const candidates = [el.attribs.id, ...classes].filter(
+      (value) => value && value.length > 2 && /^[a-z][a-z_-]*$/i.test(value)
+    );
+    let name = preferred || (candidates[0] && this.toPascalCase(candidates[0].split("__")[0])) || fallback;
+    if (HTML_ELEMENT_NAMES.has(name.toLowerCase())) name += "Block";
+
+    let unique = name;
+    for (let i = 2; this.names.has(unique); i++) unique = `${name}${i}`;
+    this.names.add(unique);
+    return unique;
+  }
+
+  renderComponent(component, { hasScript = false } = {}) {
+    const imports = new Set();
+    const ctx = { component, imports, inPre: false };
+    const isApp = component.root.name === "body";
+    const markup = isApp
+      ? this.renderChildren(component.root, ctx, { react: 6, vue: 2, svelte: 0 }[this.framework])
+      : this.renderElement(component.root, ctx, { react: 4, vue: 2, svelte: 0 }[this.framework], true);
+    const props = [
+      ...(component.textSlots?.values() || []),
+      ...[...(component.attributeSlots?.values() || [])].flatMap((slots) => [...slots.values()]),
+    ];
+    // App lives in src/, components next to each other in src/components/
+    const importLines = [...imports].map(
+      (name) =>
+        `import ${name} from "./${isApp ? "components/" : ""}${name}${this.config.extension}";`
+    );
+
+    if (this.framework === "react") {
+      const lines = [];
+      if (hasScript) lines.push('import { useEffect } from "react";');
+      lines.push(...importLines);
+      if (lines.length > 0) lines.push("");
+      lines.push(`export default function ${component.name}(${props.length ? `{ ${props.join(", ")} }` : ""}) {`);
+      if (hasScript) {
+        lines.push(
+          "  // The original page's script expects the markup to be in place",
+          "  useEffect(() => {",
+          "    const script = document.createElement(\"script\");",
+          '    script.src = "/script.js";',
+          "    document.body.appendChild(script);",
+          "    return () => script.remove();",
+          "  }, []);",
+          ""
+        );
+      }
+      lines.push("  return (");
+      if (isApp) lines.push("    <>");
+      lines.push(markup);
+      if (isApp) lines.push("    </>");
+      lines.push("  );", "}", "");
+      return lines.join("\n");
+    }
+
+    const script = [];
+    if (hasScript) {
+      script.push(
+        `import { ${this.framework === "vue" ? "onMounted" : "onMount"} } from "${this.framework}";`
+      );
+    }
+    script.push(...importLines);
+    if (props.length > 0) {
+      script.push(
+        this.framework === "vue"
+          ? `defineProps([${props.map((prop) => `"${prop}"`).join(", ")}]);`
+          : `let { ${props.join(", ")} } = $props();`
+      );
+    }
+    if (hasScript) {
+      script.push(
+        "",
+        "// The original page's script expects the markup to be in place",
+        `${this.framework === "vue" ? "onMounted" : "onMount"}(() => {`,
+        '  const script = document.createElement("script");',
+        '  script.src = "/script.js";',
+        "  document.body.appendChild(script);",
+        ...(this.framework === "svelte" ? ["  return () => script.remove();"] : []),
+        "});"
+      );
+    }
+
+    const scriptBlock =
+      script.length > 0
+        ? `<script${this.framework === "vue" ? " setup" : ""}>\n${script
+            .map((line) => (line && this.framework === "svelte" ? `  ${line}` : line))
+            .join("\n")}\n</script>\n\n`
+        : "";
+    if (this.framework === "vue") {
+      return `${scriptBlock}<template>\n${markup}\n</template>\n`;
+    }
+    return `${scriptBlock}${markup}\n`;
+  }
+
+  renderChildren(el, ctx, indent) {
+    // Block children get a line each; inline content between them stays on
+    // one line, as whitespace only matters there
+    const pad = " ".repeat(indent);
+    const lines = [];
+    let run = "";
+    const flush = () => {
+      if (run.trim()) lines.push(pad + run.trim());
+      run = "";
+    };
+    for (const node of el.children) {
+      if (node.type === "text") {
+        run += this.renderText(this.collapse(node.data), ctx, node);
+      } else if (this.isElement(node) && BLOCK_ELEMENTS.has(node.name)) {
+        flush();
+        lines.push(this.renderElement(node, ctx, indent));
+      } else if (this.isElement(node)) {
+        run += this.renderElement(node, ctx, 0);
+      }
+    }
+    flush();
+    return lines.join("\n");
+  }
+
+  renderInline(el, ctx) {
+    return el.children
+      .map((node) => {
+        if (node.type === "text") {
+          return this.renderText(ctx.inPre ? node.data : this.collapse(node.data), ctx, node);
+        }
+        return this.isElement(node) ? this.renderElement(node, ctx, 0) : "";
+      })
+      .join("");
+  }
+
+  renderElement(el, ctx, indent, isRoot = false) {
+    const pad = " ".repeat(indent);
+    const component = this.instances.get(el);
+    if (component && !isRoot) {
+      ctx.imports.add(component.name);
+      return pad + this.renderUsage(component, el);
+    }
+
+    let attributes = this.renderAttributes(el, ctx);
+    const tag = el.name;
+    if (VOID_ELEMENTS.has(tag)) return `${pad}<${tag}${attributes} />`;
+
+    // React keeps a textarea's content in defaultValue
+    if (this.framework === "react" && tag === "textarea") {
+      const value = this.getContentNodes(el).map((node) => node.data || "").join("");
+      if (value) attributes += ` defaultValue={${JSON.stringify(value)}}`;
+      return `${pad}<${tag}${attributes} />`;
+    }
+
+    const content = this.getContentNodes(el);
+    if (content.length === 0) {
+      return this.framework === "react"
+        ? `${pad}<${tag}${attributes} />`
+        : `${pad}<${tag}${attributes}></${tag}>`;
+    }
+
+    const childCtx = { ...ctx, inPre: ctx.inPre || tag === "pre" };
+    if (!childCtx.inPre && content.some((node) => BLOCK_ELEMENTS.has(node.name))) {
+      return `${pad}<${tag}${attributes}>\n${this.renderChildren(el, childCtx, indent + 2)}\n${pad}</${tag}>`;
+    }
+    return `${pad}<${tag}${attributes}>${this.renderInline(el, childCtx)}</${tag}>`;
+  }
+
+  renderUsage(component, el) {
+    const props = (component.props?.get(el) || []).map(([prop, value, attribute]) => {
+      if (this.framework === "react" && attribute === "style") {
+        return ` ${prop}={${this.toStyleObject(value)}}`;
+      }
+      return ` ${prop}=${this.renderStaticValue(value)}`;
+    });
+    return `<${component.name}${props.join("")} />`;
+  }
+
+  renderText(text, ctx, node) {
+    const prop = ctx.component.textSlots?.get(node);
+    if (prop) return this.framework === "vue" ? `{{ ${prop} }}` : `{${prop}}`;
+    if (!text) return "";
+
+    if (this.framework === "react") {
+      // JSX drops whitespace at line breaks and reads {}<> and entities
+      return ctx.inPre || /[{}<>&]/.test(text) ? `{${JSON.stringify(text)}}` : text;
+    }
+    // Entities keep Vue's {{ }} and Svelte's { } from being read as code
+    return text.replace(/[&<>{}]/g, (char) => `&#${char.charCodeAt(0)};`);
+  }
+
+  renderAttributes(el, ctx) {
+    const slots = ctx.component.attributeSlots?.get(el);
+    let output = "";
+
+    // A prop may stand for an attribute only some copies have
+    const names = new Set([...Object.keys(el.attribs), ...(slots?.keys() || [])]);
+    for (const name of names) {
+      const value = el.attribs[name] ?? "";
+      // Inline handlers and other frameworks' bindings (Alpine's :class,
+      // @click, Vue's v-) would be read as code
+      if (/^(on|@|:|v-)/i.test(name)) continue;
+      if (name.includes(":") && !NAMESPACED_ATTRIBUTES.includes(name)) continue;
+      if (!/^[a-z_][\w:.-]*$/i.test(name)) continue;
+
+      const attribute = this.getAttributeName(el, name);
+      const prop = slots?.get(name);
+      if (prop) {
+        output +=
+          this.framework === "vue" ? ` :${attribute}="${prop}"` : ` ${attribute}={${prop}}`;
+      } else if (this.framework === "react" && name === "style") {
+        output += ` style={${this.toStyleObject(value)}}`;
+      } else if (value === "" && BOOLEAN_ATTRIBUTES.has(name)) {
+        output += ` ${attribute}`;
+      } else {
+        output += ` ${attribute}=${this.renderStaticValue(value)}`;
+      }
+    }
+    return output;
+  }
+
+  getAttributeName(el, name) {
+    if (this.framework !== "react") return name;
+    // Uncontrolled form fields keep their captured state editable
+    if (name === "value" && ["input", "select"].includes(el.name)) return "defaultValue";
+    if (name === "checked" && el.name === "input") return "defaultChecked";
+    if (REACT_ATTRIBUTES[name]) return REACT_ATTRIBUTES[name];
+    if (/^(data|aria)-/.test(name) || !name.includes("-")) return name;
+    return this.toCamelCase(name);
+  }
+
+  renderStaticValue(value) {
+    if (this.framework === "react") {
+      return /["&\n\\]/.test(value) ? `{${JSON.stringify(value)}}` : `"${value}"`;
+    }
+    return `"${value.replace(/[&"{}]/g, (char) => `&#${char.charCodeAt(0)};`)}"`;
+  }
+
+  toStyleObject(style) {
+    const entries = splitTopLevel(style, ";").flatMap((declaration) => {
+      const colon = declaration.indexOf(":");
+      if (colon <= 0) return [];
+      const property = declaration.slice(0, colon).trim();
+      // React has no way to say !important
+      const value = declaration.slice(colon + 1).replace(/!important\s*$/i, "").trim();
+      let key = property;
+      if (!property.startsWith("--")) {
+        key = this.toCamelCase(property.toLowerCase().replace(/^-ms-/, "ms-"));
+        if (property.startsWith("-") && !property.startsWith("-ms-")) {
+          key = key.charAt(0).toUpperCase() + key.slice(1);
+        }
+      }
+      return [`${/^[a-z]\w*$/i.test(key) ? key : JSON.stringify(key)}: ${JSON.stringify(value)}`];
+    });
+    return `{ ${entries.join(", ")} }`;
+  }
+
+  renderPackageJson(url) {
+    let name = "cloned-ui";
+    try {
+      name = `${new URL(url).hostname.replace(/^www\./, "").replace(/[^a-z0-9]+/gi, "-").toLowerCase()}-clone`;
+    } catch {
+      // Keep the generic name
+    }
+    return (
+      JSON.stringify(
+        {
+          name,
+          private: true,
+          version: "0.0.0",
+          type: "module",
+          scripts: { dev: "vite", build: "vite build", preview: "vite preview" },
+          dependencies: this.config.dependencies,
+          devDependencies: {
+            ...this.config.devDependencies,
+            ...(this.tailwind && TAILWIND_DEPENDENCIES),
+          },
+        },
+        null,
+        2
+      ) + "\n"
+    );
+  }
+
+  renderViteConfig() {
+    const { name, from, default: isDefault } = this.config.plugin;
+    return `import { defineConfig } from "vite";
+import ${isDefault ? name : `{ ${name} }`} from "${from}";
+
+export default defineConfig({
+  plugins: [${name}()],
+});
+`;
+  }
+
+  renderStylesheet(css) {
+    if (!this.tailwind) return css.trim() + "\n";
+    // @import has to stay ahead of everything else
+    const [imports] = css.match(/^(\s*@(charset|import)\b[^;]*;)*/);
+    const directives = "@tailwind base;\n@tailwind components;\n@tailwind utilities;\n";
+    const rest = css.slice(imports.length).trim();
+    return [imports.trim(), directives.trim(), rest].filter(Boolean).join("\n\n") + "\n";
+  }
+
+  renderPostcssConfig() {
+    return `export default {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {},
+  },
+};
+`;
+  }
+
+  renderIndexHtml($) {
+    const attributes = (el) =>
+      Object.entries(el.attribs)
+        .map(([name, value]) => ` ${name}="${value.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`)
+        .join("");
+    // Metadata, icons and stylesheets left online stay in the head; the local
+    // stylesheets are imported by the entry module instead
+    const head = $("head")
+      .children()
+      .toArray()
+      .filter((el) => el.name !== "base" && !(el.name === "meta" && el.attribs.charset))
+      .filter((el) => !(el.name === "link" && ["style.css", "tailwind.css"].includes(el.attribs.href)))
+      .map((el) => `    ${$.html(el)}`);
+
+    return `<!DOCTYPE html>
+<html${attributes($("html")[0])}>
+  <head>
+    <meta charset="UTF-8" />
+${head.join("\n")}
+  </head>
+  <body${attributes($("body")[0])}>
+    <div id="${this.config.mountId}" style="display: contents"></div>
+    <script type="module" src="/${this.config.entry}"></script>
+  </body>
+</html>
+`;
+  }
+
+  renderMain() {
+    if (this.framework === "react") {
+      return `import { createRoot } from "react-dom/client";
+import App from "./App.jsx";
+import "./style.css";
+
+createRoot(document.getElementById("root")).render(<App />);
+`;
+    }
+    if (this.framework === "vue") {
+      return `import { createApp } from "vue";
+import App from "./App.vue";
+import "./style.css";
+
+createApp(App).mount("#app");
+`;
+    }
+    return `import { mount } from "svelte";
+import App from "./App.svelte";
+import "./style.css";
+
+mount(App, { target: document.getElementById("app") });
+`;
+  }
+
+  getContentNodes(el) {
+    // Elements and text that renders; comments and layout whitespace don't
+    return (el.children || []).filter(
+      (node) => this.isElement(node) || (node.type === "text" && node.data.trim())
+    );
+  }
+
+  getElementChildren(el) {
+    return (el.children || []).filter((node) => this.isElement(node));
+  }
+
+  isElement(node) {
+    return node.type === "tag" || node.type === "script" || node.type === "style";
+  }
+
+  countElements(el) {
+    return 1 + this.getElementChildren(el).reduce((total, child) => total + this.countElements(child), 0);
+  }
+
+  collapse(text) {
+    return text.replace(/\s+/g, " ");
+  }
+
+  toCamelCase(name) {
+    return name.replace(/[-_:]+([a-z0-9])/gi, (_, char) => char.toUpperCase());
+  }
+
+  toPascalCase(name) {
+    const camel = this.toCamelCase(name);
+    return camel.charAt(0).toUpperCase() + camel.slice(1);
+  }
+}
@@ -0,0 +1,175 @@
+import fs from "fs-extra";
+import chalk from "chalk";
+
+// Bodies are stored decoded, so transfer headers would describe the wrong bytes
+const TRANSFER_HEADERS = ["content-encoding", "transfer-encoding", "content-length"];
+const TEXT_MIME_TYPES = /^text\/|json|javascript|ecmascript|xml|svg|css/i;
+
+export class HarArchive {
+  constructor(entries = []) {
+    this.entries = new Map();
+    this.misses = new Set();
+    for (const entry of entries) {
+      const key = this.getKey(entry.request.method, entry.request.url);
+      // The first response for a URL is the one the page saw during recording
+      if (!this.entries.has(key)) this.entries.set(key, entry);
+    }
+  }
+
+  static async load(filePath) {
+    const har = await fs.readJson(filePath);
+    const archive = new HarArchive(har.log?.entries || []);
+    console.log(chalk.gray(`📼 Replaying ${archive.entries.size} responses from ${filePath}`));
+    return archive;
+  }
+
+  /**
+   * Write recorder exchanges as a HAR 1.2 log.
+   */
+  static async save(filePath, exchanges, { creator = "ui-clone-cli", version = "1.0.0" } = {}) {
+    const har = {
+      log: {
+        version: "1.2",
+        creator: { name: creator, version },
+        entries: exchanges.map((exchange) => HarArchive.toEntry(exchange)),
+      },
+    };
+    await fs.writeJson(filePath, har, { spaces: 2 });
+    console.log(chalk.gray(`📼 Recorded ${exchanges.length} requests to ${filePath}`));
+  }
+
+  static toEntry({
+    url,
+    method,
+    requestHeaders,
+    postData,
+    status,
+    statusText,
+    headers,
+    body,
+    remoteAddress,
+    timestamp,
+  }) {
+    const mimeType = HarArchive.getHeader(headers, "content-type") || "";
+    const content = { size: body.length, mimeType };
+    // Keep text readable for debugging unless it wouldn't round-trip as UTF-8
+    const text = body.toString("utf8");
+    if (TEXT_MIME_TYPES.test(mimeType) && Buffer.from(text, "utf8").equals(body)) {
+      content.text = text;
+    } else if (body.length > 0) {
+      content.text = body.toString("base64");
+      content.encoding = "base64";
+    }
+
+    return {
+      startedDateTime: timestamp.toISOString(),
+      time: 0,
+      request: {
+        method,
+        url,
+        httpVersion: "HTTP/1.1",
+        cookies: [],
+        headers: HarArchive.toHeaderList(requestHeaders),
+        queryString: Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value })),
+        ...(postData && {
+          postData: {
+            mimeType: HarArchive.getHeader(requestHeaders, "content-type") || "",
+            text: postData,
+          },
+        }),
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0,
+      },
+      response: {
+        status,
+        statusText: statusText || "",
+        httpVersion: "HTTP/1.1",
+        cookies: [],
+        headers: HarArchive.toHeaderList(headers),
+        content,
+        redirectURL: HarArchive.getHeader(headers, "location") || "",
+        headersSize: -1,
+        bodySize: body.length,
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      ...(remoteAddress && { serverIPAddress: remoteAddress }),
+    };
+  }
+
+  static toHeaderList(headers = {}) {
+    // Chrome joins repeated headers with newlines, axios uses arrays
+    return Object.entries(headers).flatMap(([name, value]) =>
+      [].concat(value).flatMap((item) =>
+        String(item)
+          .split("\n")
+          .map((line) => ({ name, value: line }))
+      )
+    );
+  }
+
+  static getHeader(headers = {}, name) {
+    const match = Object.keys(headers).find((key) => key.toLowerCase() === name);
+    return match ? [].concat(headers[match]).join(", ") : null;
+  }
+
+  async attach(page) {
+    // Cooperative interception, so other handlers can share the request
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      const url = request.url();
+      if (url.startsWith("data:")) {
+        request.continue({}, 0);
+        return;
+      }
+
+      const response = this.get(url, request.method());
+      if (!response) {
+        // Replay is offline: anything not recorded fails like a dropped connection
+        this.misses.add(url);
+        request.abort("internetdisconnected", 0);
+        return;
+      }
+
+      request.respond(
+        { status: response.status, headers: response.headers, body: response.body },
+        0
+      );
+    });
+  }
+
+  get(url, method = "GET") {
+    const entry = this.entries.get(this.getKey(method, url));
+    if (!entry) return null;
+
+    const { status, statusText, headers: headerList, content = {} } = entry.response;
+    const headers = {};
+    for (const { name, value } of headerList || []) {
+      const key = name.toLowerCase();
+      if (TRANSFER_HEADERS.includes(key)) continue;
+      headers[key] = key in headers ? [].concat(headers[key], value) : value;
+    }
+
+    return {
+      status,
+      statusText,
+      headers,
+      contentType: content.mimeType || HarArchive.getHeader(headers, "content-type") || "",
+      body: Buffer.from(content.text || "", content.encoding === "base64" ? "base64" : "utf8"),
+    };
+  }
+
+  reportMisses() {
+    if (this.misses.size === 0) return;
+    console.warn(
+      chalk.yellow(`⚠️ ${this.misses.size} requests were not in the HAR and failed offline`)
+    );
+  }
+
+  getKey(method, url) {
+    // Fragments never reach the server
+    return `${method.toUpperCase()} ${url.split("#")[0]}`;
+  }
+}
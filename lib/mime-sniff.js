@@ -0,0 +1,52 @@
+// Magic-byte signatures for the asset types the cloner stores. Each entry
+// matches `bytes` at `offset` (null bytes in the pattern match anything),
+// and `check` if the magic alone is too short to trust.
+const SIGNATURES = [
+  { mimeType: "image/png", offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: "image/jpeg", offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/gif", offset: 0, bytes: [..."GIF8"].map((c) => c.charCodeAt(0)) },
+  { mimeType: "image/webp", offset: 0, bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { mimeType: "image/avif", offset: 4, bytes: [..."ftypavif"].map((c) => c.charCodeAt(0)) },
+  { mimeType: "image/avif", offset: 4, bytes: [..."ftypavis"].map((c) => c.charCodeAt(0)) },
+  { mimeType: "image/x-icon", offset: 0, bytes: [0x00, 0x00, 0x01, 0x00] },
+  { mimeType: "image/bmp", offset: 0, bytes: [0x42, 0x4d], check: isBitmap },
+  { mimeType: "font/woff2", offset: 0, bytes: [..."wOF2"].map((c) => c.charCodeAt(0)) },
+  { mimeType: "font/woff", offset: 0, bytes: [..."wOFF"].map((c) => c.charCodeAt(0)) },
+  { mimeType: "font/otf", offset: 0, bytes: [..."OTTO"].map((c) => c.charCodeAt(0)) },
+  { mimeType: "font/ttf", offset: 0, bytes: [0x00, 0x01, 0x00, 0x00] },
+  { mimeType: "font/ttf", offset: 0, bytes: [..."true"].map((c) => c.charCodeAt(0)) },
+  { mimeType: "application/vnd.ms-fontobject", offset: 34, bytes: [0x4c, 0x50] },
+];
+
+// DIB header sizes: BITMAPCOREHEADER, BITMAPINFOHEADER and its V2-V5 successors
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+function isBitmap(data) {
+  // "BM" starts plenty of text files; a bitmap also records its own size
+  // and is followed by a DIB header of a known size
+  if (data.length < 18) return false;
+  return data.readUInt32LE(2) === data.length && BMP_HEADER_SIZES.includes(data.readUInt32LE(14));
+}
+
+/**
+ * Guess a MIME type from the first bytes of a file, or null when unknown.
+ */
+export function sniffMimeType(data) {
+  if (!data || data.length === 0) return null;
+
+  for (const { mimeType, offset, bytes, check } of SIGNATURES) {
+    if (data.length < offset + bytes.length) continue;
+    if (bytes.every((byte, i) => byte === null || data[offset + i] === byte) && (!check || check(data))) {
+      return mimeType;
+    }
+  }
+
+  // SVG is text: look for an <svg> root near the start, after any XML
+  // declaration, doctype or comments
+  const head = data.subarray(0, 1024).toString("utf8").replace(/^\uFEFF/, "");
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(head)) {
+    return "image/svg+xml";
+  }
+
+  return null;
+}
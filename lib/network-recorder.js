@@ -0,0 +1,117 @@
+export class NetworkRecorder {
+  constructor({ keepExchanges = false, isFresh = () => false } = {}) {
+    this.responses = new Map();
+    this.pending = new Set();
+    // Archives need every request/response pair, not just reusable assets
+    this.keepExchanges = keepExchanges;
+    // (url, headers) -> true when a previous run already stored this response
+    this.isFresh = isFresh;
+    this.exchanges = [];
+  }
+
+  attach(page) {
+    page.on("response", (response) => {
+      const task = this.record(response).finally(() => {
+        this.pending.delete(task);
+      });
+      this.pending.add(task);
+    });
+  }
+
+  async record(response) {
+    const request = response.request();
+    const url = response.url();
+    if (url.startsWith("data:")) return;
+
+    const timestamp = new Date();
+    const method = request.method();
+    const status = response.status();
+
+    // Only successful GET responses can stand in for an asset download
+    const reusable = method === "GET" && status >= 200 && status < 300;
+    if (!reusable && !this.keepExchanges) return;
+
+    // --update: an image or font the previous run stored with the same
+    // validators isn't read again
+    const headers = response.headers();
+    const resourceType = request.resourceType();
+    if (
+      reusable &&
+      !this.keepExchanges &&
+      ["image", "font", "media"].includes(resourceType) &&
+      this.isFresh(url, headers)
+    ) {
+      this.responses.set(this.getKey(url), {
+        url,
+        status,
+        headers,
+        contentType: headers["content-type"] || "",
+        resourceType,
+        body: null,
+        notModified: true,
+      });
+      return;
+    }
+
+    let body = null;
+    // Redirects have no body
+    if (status < 300 || status >= 400) {
+      try {
+        body = await response.buffer();
+      } catch {
+        // Bodies are unavailable for some responses (e.g. evicted or streamed)
+      }
+    }
+
+    if (reusable && body) {
+      this.responses.set(this.getKey(url), {
+        url,
+        status,
+        headers,
+        contentType: headers["content-type"] || "",
+        resourceType,
+        body,
+      });
+    }
+
+    this.addExchange({
+      url,
+      method,
+      requestHeaders: request.headers(),
+      postData: request.postData(),
+      status,
+      statusText: response.statusText(),
+      headers,
+      body: body || Buffer.alloc(0),
+      remoteAddress: response.remoteAddress().ip,
+      timestamp,
+    });
+  }
+
+  addExchange(exchange) {
+    // Also used for requests made outside the browser, so archives cover them
+    if (this.keepExchanges) this.exchanges.push(exchange);
+  }
+
+  async flush() {
+    // Wait for response bodies that are still being read
+    await Promise.allSettled([...this.pending]);
+  }
+
+  get(url) {
+    return this.responses.get(this.getKey(url)) || null;
+  }
+
+  has(url) {
+    return this.responses.has(this.getKey(url));
+  }
+
+  get size() {
+    return this.responses.size;
+  }
+
+  getKey(url) {
+    // Fragments never reach the server
+    return url.split("#")[0];
+  }
+}
@@ -0,0 +1,314 @@
+import fs from "fs-extra";
+import chalk from "chalk";
+
+// Analytics and ad beacons that never affect how a page looks
+const DEFAULT_RULES = [
+  "||google-analytics.com^",
+  "||googletagmanager.com^",
+  "||doubleclick.net^",
+  "||connect.facebook.net^",
+  "||facebook.com/tr^",
+  "||static.ads-twitter.com^",
+  "||analytics.twitter.com^",
+  "||snap.licdn.com^",
+  "||px.ads.linkedin.com^",
+  "||hotjar.com^",
+  "||cdn.mxpnl.com^",
+  "||api-js.mixpanel.com^",
+  "||cdn.segment.com^",
+  "||api.segment.io^",
+];
+
+// EasyList type options -> the type names used here
+const RESOURCE_TYPES = {
+  script: "script",
+  image: "image",
+  stylesheet: "stylesheet",
+  css: "stylesheet",
+  font: "font",
+  media: "media",
+  object: "object",
+  xmlhttprequest: "xmlhttprequest",
+  xhr: "xmlhttprequest",
+  subdocument: "subdocument",
+  frame: "subdocument",
+  document: "document",
+  doc: "document",
+  ping: "ping",
+  websocket: "websocket",
+  other: "other",
+};
+
+// Puppeteer resource types -> EasyList types
+const PUPPETEER_TYPES = {
+  xhr: "xmlhttprequest",
+  fetch: "xmlhttprequest",
+  eventsource: "xmlhttprequest",
+  cspviolationreport: "ping",
+  texttrack: "media",
+};
+
+// Options that only make sense with no effect on whether a request loads
+const IGNORED_OPTIONS = ["important", "match-case", "all", "popup"];
+
+export class RequestBlocker {
+  constructor(lines = DEFAULT_RULES) {
+    // ||host^ rules are looked up by host, everything else is tested in turn
+    this.hostRules = new Map();
+    this.rules = [];
+    this.exceptions = [];
+    this.skipped = 0;
+    this.blocked = new Map();
+
+    for (const line of lines) {
+      const rule = RequestBlocker.parseRule(line);
+      if (rule === undefined) continue;
+      if (rule === null) {
+        this.skipped++;
+        continue;
+      }
+      if (rule.exception) {
+        this.exceptions.push(rule);
+      } else if (rule.host) {
+        if (!this.hostRules.has(rule.host)) this.hostRules.set(rule.host, []);
+        this.hostRules.get(rule.host).push(rule);
+      } else {
+        this.rules.push(rule);
+      }
+    }
+  }
+
+  /**
+   * Combine the built-in rules with block list files (EasyList, uBlock or
+   * hosts format) and single patterns from --block or the config file.
+   */
+  static async load({ files = [], patterns = [], defaults = true } = {}) {
+    const lines = defaults ? [...DEFAULT_RULES] : [];
+    for (const file of files) {
+      lines.push(...(await fs.readFile(file, "utf8")).split(/\r?\n/));
+    }
+    lines.push(...patterns);
+
+    const blocker = new RequestBlocker(lines);
+    if (files.length > 0 || patterns.length > 0) {
+      console.log(chalk.gray(`🚫 Loaded ${blocker.size} block rules`));
+    }
+    if (blocker.skipped > 0) {
+      console.log(chalk.gray(`   ${blocker.skipped} unsupported rules ignored`));
+    }
+    return blocker;
+  }
+
+  /**
+   * Parse one filter line. Resolves to undefined for comments and cosmetic
+   * filters, and null for network rules that can't be applied here.
+   */
+  static parseRule(line) {
+    let text = line.trim();
+    if (!text || text.startsWith("!") || text.startsWith("[") || text.startsWith("#")) {
+      return undefined;
+    }
+    // Element hiding and scriptlets change the page, not its requests
+    if (/#[@?$%]?#|#\+js\(/.test(text)) return undefined;
+
+    // hosts files: "0.0.0.0 tracker.example"
+    const hostsEntry = text.match(/^(?:0\.0\.0\.0|127\.0\.0\.1|::1?)\s+([^\s#]+)/);
+    if (hostsEntry) {
+      if (["localhost", "0.0.0.0", "local"].includes(hostsEntry[1])) return undefined;
+      text = `||${hostsEntry[1]}^`;
+    }
+
+    const rule = {
+      raw: line.trim(),
+      exception: false,
+      types: [],
+      excludedTypes: [],
+      domains: [],
+      excludedDomains: [],
+      thirdParty: null,
+    };
+    if (text.startsWith("@@")) {
+      rule.exception = true;
+      text = text.slice(2);
+    }
+
+    // Options follow the last $, except inside a /regex/
+    let pattern = text;
+    const dollar = text.lastIndexOf("$");
+    if (dollar >= 0 && !(text.startsWith("/") && text.endsWith("/"))) {
+      pattern = text.slice(0, dollar);
+      for (const option of text.slice(dollar + 1).split(",").filter(Boolean)) {
+        const negated = option.startsWith("~");
+        const [name, value = ""] = (negated ? option.slice(1) : option).toLowerCase().split("=");
+
+        if (name === "third-party" || name === "3p") {
+          rule.thirdParty = !negated;
+        } else if (name === "first-party" || name === "1p") {
+          rule.thirdParty = negated;
+        } else if (name === "domain" || name === "from") {
+          for (const domain of value.split("|").filter(Boolean)) {
+            if (domain.startsWith("~")) rule.excludedDomains.push(domain.slice(1));
+            else rule.domains.push(domain);
+          }
+        } else if (RESOURCE_TYPES[name]) {
+          (negated ? rule.excludedTypes : rule.types).push(RESOURCE_TYPES[name]);
+        } else if (!IGNORED_OPTIONS.includes(name)) {
+          // $redirect, $csp, $removeparam and friends rewrite responses
+          return null;
+        }
+      }
+    }
+
+    const host = pattern.match(/^\|\|([a-z0-9.-]+)\^?$/i);
+    if (host) rule.host = host[1].toLowerCase();
+
+    rule.regex = RequestBlocker.toRegExp(pattern);
+    return rule.regex ? rule : null;
+  }
+
+  static toRegExp(pattern) {
+    if (pattern.length > 2 && pattern.startsWith("/") && pattern.endsWith("/")) {
+      try {
+        return new RegExp(pattern.slice(1, -1), "i");
+      } catch {
+        return null;
+      }
+    }
+
+    let source = "";
+    let rest = pattern;
+    if (rest.startsWith("||")) {
+      // Any scheme, the host or any of its subdomains
+      source = "^[a-z][a-z0-9+.-]*:\\/\\/(?:[^/?#]*\\.)?";
+      rest = rest.slice(2);
+    } else if (rest.startsWith("|")) {
+      source = "^";
+      rest = rest.slice(1);
+    }
+    const anchoredEnd = rest.endsWith("|");
+    if (anchoredEnd) rest = rest.slice(0, -1);
+
+    for (const char of rest) {
+      if (char === "*") source += ".*";
+      // ^ is a separator: anything but a letter, digit or _-.%, or the end
+      else if (char === "^") source += "(?:[^\\w.%-]|$)";
+      else source += char.replace(/[.+?${}()|[\]\\/]/g, "\\$&");
+    }
+    if (anchoredEnd) source += "$";
+
+    return new RegExp(source, "i");
+  }
+
+  get size() {
+    return (
+      [...this.hostRules.values()].reduce((total, rules) => total + rules.length, 0) +
+      this.rules.length +
+      this.exceptions.length
+    );
+  }
+
+  /**
+   * The blocking rule that applies to a request, or null if it may load.
+   */
+  match(url, { type = "other", pageUrl } = {}) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+    if (!/^(https?|wss?):/i.test(url)) return null;
+
+    const context = { type, hostname, pageHost: this.getHostname(pageUrl) };
+    const applies = (rule) => this.appliesTo(rule, context) && rule.regex.test(url);
+
+    // Check the host and each parent domain, then the generic rules
+    const labels = hostname.split(".");
+    const candidates = labels.flatMap(
+      (_, i) => this.hostRules.get(labels.slice(i).join(".")) || []
+    );
+    const rule = candidates.find(applies) || this.rules.find(applies);
+    if (!rule || this.exceptions.some(applies)) return null;
+    return rule;
+  }
+
+  appliesTo(rule, { type, hostname, pageHost }) {
+    if (rule.types.length > 0 && !rule.types.includes(type)) return false;
+    if (rule.excludedTypes.includes(type)) return false;
+    if (rule.thirdParty !== null && pageHost) {
+      const thirdParty = this.getSite(hostname) !== this.getSite(pageHost);
+      if (thirdParty !== rule.thirdParty) return false;
+    }
+    if (rule.domains.length > 0 && !rule.domains.some((domain) => this.isWithin(pageHost, domain))) {
+      return false;
+    }
+    return !rule.excludedDomains.some((domain) => this.isWithin(pageHost, domain));
+  }
+
+  async attach(page) {
+    // Cooperative interception, so other handlers can share the request
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      const frame = request.frame();
+      // The page being cloned always loads, whatever the rules say
+      if (request.isNavigationRequest() && frame === page.mainFrame()) {
+        request.continue({}, 0);
+        return;
+      }
+
+      const url = request.url();
+      const type = this.getResourceType(request, page);
+      const rule = this.match(url, { type, pageUrl: frame?.url() || page.url() });
+      if (!rule) {
+        request.continue({}, 0);
+        return;
+      }
+
+      this.blocked.set(url, { url, type, rule: rule.raw });
+      request.abort("blockedbyclient", 0);
+    });
+  }
+
+  getResourceType(request, page) {
+    const type = request.resourceType();
+    if (type === "document") {
+      return request.frame() === page.mainFrame() ? "document" : "subdocument";
+    }
+    return PUPPETEER_TYPES[type] || (RESOURCE_TYPES[type] ? type : "other");
+  }
+
+  report() {
+    if (this.blocked.size === 0) return;
+
+    const byHost = new Map();
+    for (const { url } of this.blocked.values()) {
+      const host = this.getHostname(url);
+      byHost.set(host, (byHost.get(host) || 0) + 1);
+    }
+    console.log(chalk.gray(`🚫 Blocked ${this.blocked.size} requests:`));
+    for (const [host, count] of [...byHost].sort((a, b) => b[1] - a[1])) {
+      console.log(chalk.gray(`   ${host} (${count})`));
+    }
+  }
+
+  getHostname(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return "";
+    }
+  }
+
+  getSite(hostname) {
+    // Close enough to the registrable domain without a public suffix list
+    const labels = hostname.split(".");
+    const secondLevel = /^(co|com|net|org|gov|edu|ac)$/.test(labels[labels.length - 2] || "");
+    return labels.slice(secondLevel && labels.length > 2 ? -3 : -2).join(".");
+  }
+
+  isWithin(hostname, domain) {
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+}
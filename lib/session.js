@@ -0,0 +1,201 @@
+import fs from "fs-extra";
+import path from "path";
+import { pathToFileURL } from "url";
+import chalk from "chalk";
+
+export class Session {
+  constructor({ cookies = [], headers = {}, headerHosts = [], storage = {}, loginScript = null } = {}) {
+    this.cookies = cookies;
+    this.headers = headers;
+    // Custom headers usually carry credentials, so they only go to the start
+    // page's host and hosts named here, never to CDNs or trackers
+    this.headerHosts = headerHosts.map((host) => host.toLowerCase().replace(/^\./, ""));
+    this.startHost = null;
+    this.storage = {
+      localStorage: storage.localStorage || {},
+      sessionStorage: storage.sessionStorage || {},
+    };
+    this.loginScript = loginScript;
+  }
+
+  static async load({ cookieFile, headers = [], headerHosts = [], storageFile, loginScript } = {}) {
+    const session = new Session({
+      headers: Session.parseHeaders(headers),
+      headerHosts,
+      loginScript: loginScript ? path.resolve(loginScript) : null,
+    });
+
+    if (cookieFile) {
+      session.cookies = Session.parseCookieFile(await fs.readFile(cookieFile, "utf8"));
+      console.log(chalk.gray(`🍪 Loaded ${session.cookies.length} cookies from ${cookieFile}`));
+    }
+
+    if (storageFile) {
+      const storage = await fs.readJson(storageFile);
+      session.storage = {
+        localStorage: storage.localStorage || {},
+        sessionStorage: storage.sessionStorage || {},
+      };
+    }
+
+    return session;
+  }
+
+  static parseHeaders(headers) {
+    // ["Authorization: Bearer x", ...] -> { Authorization: "Bearer x" }
+    const parsed = {};
+    for (const header of headers) {
+      const separator = header.indexOf(":");
+      if (separator <= 0) {
+        throw new Error(`Invalid header "${header}", expected "Name: value"`);
+      }
+      parsed[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+    }
+    return parsed;
+  }
+
+  static parseCookieFile(text) {
+    const trimmed = text.trim();
+
+    // JSON: Puppeteer/DevTools exports or browser extensions such as EditThisCookie
+    if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+      const data = JSON.parse(trimmed);
+      const list = Array.isArray(data) ? data : data.cookies || [];
+      return list.map((cookie) => {
+        const sameSite = Session.normalizeSameSite(cookie.sameSite);
+        return {
+          name: cookie.name,
+          value: cookie.value,
+          domain: cookie.domain,
+          path: cookie.path || "/",
+          expires: cookie.expires ?? cookie.expirationDate ?? -1,
+          httpOnly: !!cookie.httpOnly,
+          secure: !!cookie.secure,
+          ...(sameSite && { sameSite }),
+        };
+      });
+    }
+
+    // Netscape cookies.txt: domain, subdomains flag, path, secure, expiry, name, value
+    const cookies = [];
+    for (const rawLine of trimmed.split(/\r?\n/)) {
+      let line = rawLine;
+      let httpOnly = false;
+      if (line.startsWith("#HttpOnly_")) {
+        line = line.slice("#HttpOnly_".length);
+        httpOnly = true;
+      } else if (!line.trim() || line.startsWith("#")) {
+        continue;
+      }
+
+      const fields = line.split("\t");
+      if (fields.length < 7) continue;
+      const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+      cookies.push({
+        name,
+        value: value.join("\t"),
+        domain,
+        path: cookiePath || "/",
+        expires: Number(expires) || -1,
+        httpOnly,
+        secure: secure.toUpperCase() === "TRUE",
+      });
+    }
+    return cookies;
+  }
+
+  static normalizeSameSite(sameSite) {
+    const values = { strict: "Strict", lax: "Lax", none: "None", no_restriction: "None" };
+    return values[String(sameSite || "").toLowerCase()];
+  }
+
+  async applyTo(page, startUrl) {
+    if (this.cookies.length > 0) {
+      await page.browser().setCookie(...this.cookies);
+    }
+
+    if (Object.keys(this.headers).length > 0) {
+      this.startHost = new URL(startUrl).hostname.toLowerCase();
+      // Cooperative interception; registered after the block list and HAR
+      // replay, so their abort/respond still win and these overrides are last
+      await page.setRequestInterception(true);
+      page.on("request", (request) => {
+        if (request.isInterceptResolutionHandled()) return;
+        if (!this.sendsHeadersTo(request.url())) return;
+        request.continue({ headers: { ...request.headers(), ...this.headers } }, 0);
+      });
+    }
+
+    const { localStorage, sessionStorage } = this.storage;
+    if (Object.keys(localStorage).length > 0 || Object.keys(sessionStorage).length > 0) {
+      // Seed storage before any page script runs, without clobbering values
+      // the app has written since
+      await page.evaluateOnNewDocument(
+        (origin, seeds) => {
+          if (location.origin !== origin) return;
+          for (const [area, values] of Object.entries(seeds)) {
+            for (const [key, value] of Object.entries(values)) {
+              if (window[area].getItem(key) === null) {
+                window[area].setItem(key, typeof value === "string" ? value : JSON.stringify(value));
+              }
+            }
+          }
+        },
+        new URL(startUrl).origin,
+        { localStorage, sessionStorage }
+      );
+    }
+  }
+
+  async runLoginScript(page, startUrl) {
+    if (!this.loginScript) return;
+
+    // A login script is an ES module exporting `async (page, { url }) => {}`
+    console.log(chalk.gray(`🔐 Running login script ${path.basename(this.loginScript)}...`));
+    const module = await import(pathToFileURL(this.loginScript).href);
+    const login = module.default || module.login;
+    if (typeof login !== "function") {
+      throw new Error(`Login script ${this.loginScript} must export a default function`);
+    }
+    await login(page, { url: startUrl });
+  }
+
+  async syncCookies(page) {
+    // Pick up cookies set by the login script or the site itself
+    this.cookies = await page.browser().cookies();
+  }
+
+  headersFor(url) {
+    const headers = this.sendsHeadersTo(url) ? { ...this.headers } : {};
+    const cookie = this.getCookieHeader(url);
+    return cookie ? { ...headers, Cookie: cookie } : headers;
+  }
+
+  sendsHeadersTo(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return false;
+    }
+    if (hostname === this.startHost) return true;
+    return this.headerHosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+  }
+
+  getCookieHeader(url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    const now = Date.now() / 1000;
+
+    return this.cookies
+      .filter((cookie) => {
+        const domain = (cookie.domain || "").replace(/^\./, "").toLowerCase();
+        const domainMatches =
+          hostname === domain || hostname.endsWith(`.${domain}`);
+        const pathMatches = pathname.startsWith(cookie.path || "/");
+        const expired = cookie.expires > 0 && cookie.expires < now;
+        return domainMatches && pathMatches && !expired && (!cookie.secure || protocol === "https:");
+      })
+      .map((cookie) => `${cookie.name}=${cookie.value}`)
+      .join("; ");
+  }
+}
@@ -0,0 +1,154 @@
+import fs from "fs-extra";
+import path from "path";
+import { load } from "cheerio";
+import { lookup } from "mime-types";
+import chalk from "chalk";
+
+const URL_REGEX = /url\(\s*(['"]?)(.*?)\1\s*\)/g;
+
+export class SingleFileBuilder {
+  constructor({ inlineLimit = 1024 * 1024, originals = new Map() } = {}) {
+    // Assets above inlineLimit bytes point back at their original URL
+    // (originals maps a stored path such as "assets/images/x.png" to it)
+    this.inlineLimit = inlineLimit;
+    this.originals = originals;
+    this.inlined = new Map();
+    // Stored path -> "inlined" or "online", for the manifest
+    this.storage = new Map();
+    this.stats = { inlined: 0, linked: 0 };
+  }
+
+  /**
+   * Turn a page written in the folder layout into one self-contained HTML
+   * document, with CSS and JS inlined and assets as data URIs.
+   */
+  async build(rootDir, pagePath) {
+    const pageFile = path.join(rootDir, pagePath);
+    const $ = load(await fs.readFile(pageFile, "utf8"));
+
+    // Shadow root styles and the enhancement styles are already inline
+    for (const el of $("style").toArray()) {
+      $(el).text(await this.inlineCSS($(el).html(), pageFile, rootDir));
+    }
+    for (const el of $("[style*='url(']").toArray()) {
+      $(el).attr("style", await this.inlineCSS($(el).attr("style"), pageFile, rootDir));
+    }
+
+    for (const el of $("link[rel='stylesheet'][href]").toArray()) {
+      const file = this.getLocalFile(pageFile, $(el).attr("href"));
+      if (!file || !(await fs.pathExists(file))) continue;
+
+      const css = await this.inlineCSS(await fs.readFile(file, "utf8"), file, rootDir);
+      this.storage.set(this.toLocalPath(file, rootDir), "inlined");
+      $(el).replaceWith($("<style>").text(css.replace(/<\/style/gi, "<\\/style")));
+    }
+
+    for (const el of $("script[src]").toArray()) {
+      const file = this.getLocalFile(pageFile, $(el).attr("src"));
+      if (!file || !(await fs.pathExists(file))) continue;
+
+      const js = await fs.readFile(file, "utf8");
+      this.storage.set(this.toLocalPath(file, rootDir), "inlined");
+      $(el).removeAttr("src").text(js.replace(/<\/script/gi, "<\\/script"));
+    }
+
+    // Same attributes downloadAssets rewrites to local paths
+    const attributes = [
+      { selector: "img[src]", attr: "src" },
+      { selector: "img[srcset], picture source[srcset]", attr: "srcset", srcset: true },
+      { selector: "video[poster]", attr: "poster" },
+      {
+        selector:
+          'link[rel="icon"], link[rel="shortcut icon"], link[rel="apple-touch-icon"]',
+        attr: "href",
+      },
+    ];
+    for (const { selector, attr, srcset } of attributes) {
+      for (const el of $(selector).toArray()) {
+        const value = $(el).attr(attr);
+        if (!value) continue;
+
+        if (srcset) {
+          // Descriptors follow whitespace, which data URIs never contain
+          const candidates = value.split(/,\s+/);
+          const inlined = [];
+          for (const candidate of candidates) {
+            const [url, ...descriptor] = candidate.trim().split(/\s+/);
+            inlined.push([await this.inlineAsset(url, pageFile, rootDir), ...descriptor].join(" "));
+          }
+          $(el).attr(attr, inlined.join(", "));
+        } else {
+          $(el).attr(attr, await this.inlineAsset(value, pageFile, rootDir));
+        }
+      }
+    }
+
+    return $.html();
+  }
+
+  async inlineCSS(css, cssFile, rootDir) {
+    let inlined = "";
+    let lastIndex = 0;
+    for (const match of css.matchAll(URL_REGEX)) {
+      inlined += css.slice(lastIndex, match.index);
+      const url = await this.inlineAsset(match[2], cssFile, rootDir);
+      inlined += url === match[2] ? match[0] : `url("${url}")`;
+      lastIndex = match.index + match[0].length;
+    }
+    return inlined + css.slice(lastIndex);
+  }
+
+  async inlineAsset(url, fromFile, rootDir) {
+    // References are relative to the file that holds them (page or style.css)
+    const file = this.getLocalFile(fromFile, url);
+    if (!file) return url;
+    // Pages share assets; encode each file once
+    if (!this.inlined.has(file)) {
+      this.inlined.set(file, await this.encodeAsset(file, rootDir));
+    }
+    return this.inlined.get(file) ?? url;
+  }
+
+  async encodeAsset(file, rootDir) {
+    const localPath = this.toLocalPath(file, rootDir);
+    try {
+      const { size } = await fs.stat(file);
+      if (size > this.inlineLimit) {
+        const original = this.originals.get(localPath);
+        if (original) {
+          this.stats.linked++;
+          this.storage.set(localPath, "online");
+          return original;
+        }
+        console.warn(
+          chalk.yellow(`⚠️ ${localPath} is over the inline limit and has no original URL, inlining anyway`)
+        );
+      }
+
+      const mimeType = lookup(file) || "application/octet-stream";
+      const data = await fs.readFile(file);
+      this.stats.inlined++;
+      this.storage.set(localPath, "inlined");
+      return `data:${mimeType};base64,${data.toString("base64")}`;
+    } catch {
+      return null;
+    }
+  }
+
+  toLocalPath(file, rootDir) {
+    return path.relative(rootDir, file).split(path.sep).join("/");
+  }
+
+  getLocalFile(fromFile, url) {
+    // Only relative references point into the clone
+    if (!url || url.startsWith("#") || url.startsWith("//") || /^[a-z][a-z0-9+.-]*:/i.test(url)) {
+      return null;
+    }
+    const [relative] = url.split(/[?#]/);
+    try {
+      return path.resolve(path.dirname(fromFile), decodeURIComponent(relative));
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,1276 @@
+import chalk from "chalk";
+import { parseRules, splitTopLevel, stripComments } from "./css-rules.js";
+
+// Tailwind v3's base layer, so the compiled stylesheet renders the same as a
+// real Tailwind build of the clone
+const PREFLIGHT = `*, ::before, ::after { box-sizing: border-box; border-width: 0; border-style: solid; border-color: #e5e7eb; }
+::before, ::after { --tw-content: ''; }
+html, :host { line-height: 1.5; -webkit-text-size-adjust: 100%; -moz-tab-size: 4; tab-size: 4; font-family: ui-sans-serif, system-ui, sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"; font-feature-settings: normal; font-variation-settings: normal; -webkit-tap-highlight-color: transparent; }
+body { margin: 0; line-height: inherit; }
+hr { height: 0; color: inherit; border-top-width: 1px; }
+abbr:where([title]) { text-decoration: underline dotted; }
+h1, h2, h3, h4, h5, h6 { font-size: inherit; font-weight: inherit; }
+a { color: inherit; text-decoration: inherit; }
+b, strong { font-weight: bolder; }
+code, kbd, samp, pre { font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; font-feature-settings: normal; font-variation-settings: normal; font-size: 1em; }
+small { font-size: 80%; }
+sub, sup { font-size: 75%; line-height: 0; position: relative; vertical-align: baseline; }
+sub { bottom: -0.25em; }
+sup { top: -0.5em; }
+table { text-indent: 0; border-color: inherit; border-collapse: collapse; }
+button, input, optgroup, select, textarea { font-family: inherit; font-feature-settings: inherit; font-variation-settings: inherit; font-size: 100%; font-weight: inherit; line-height: inherit; letter-spacing: inherit; color: inherit; margin: 0; padding: 0; }
+button, select { text-transform: none; }
+button, input:where([type='button']), input:where([type='reset']), input:where([type='submit']) { -webkit-appearance: button; background-color: transparent; background-image: none; }
+:-moz-focusring { outline: auto; }
+:-moz-ui-invalid { box-shadow: none; }
+progress { vertical-align: baseline; }
+::-webkit-inner-spin-button, ::-webkit-outer-spin-button { height: auto; }
+[type='search'] { -webkit-appearance: textfield; outline-offset: -2px; }
+::-webkit-search-decoration { -webkit-appearance: none; }
+::-webkit-file-upload-button { -webkit-appearance: button; font: inherit; }
+summary { display: list-item; }
+blockquote, dl, dd, h1, h2, h3, h4, h5, h6, hr, figure, p, pre { margin: 0; }
+fieldset { margin: 0; padding: 0; }
+legend { padding: 0; }
+ol, ul, menu { list-style: none; margin: 0; padding: 0; }
+dialog { padding: 0; }
+textarea { resize: vertical; }
+input::placeholder, textarea::placeholder { opacity: 1; color: #9ca3af; }
+button, [role="button"] { cursor: pointer; }
+:disabled { cursor: default; }
+img, svg, video, canvas, audio, iframe, embed, object { display: block; vertical-align: middle; }
+img, video { max-width: 100%; height: auto; }
+[hidden]:where(:not([hidden="until-found"])) { display: none; }
+`;
+
+// Computed properties that are turned into utilities, in the order Tailwind
+// emits them: later utilities win, e.g. leading-* over text-lg's line height
+const PROPERTIES = [
+  "display", "position", "top", "right", "bottom", "left", "z-index", "float", "clear",
+  "box-sizing", "overflow-x", "overflow-y", "visibility", "object-fit", "object-position",
+  "flex-direction", "flex-wrap", "flex-grow", "flex-shrink", "flex-basis", "order",
+  "grid-template-columns", "grid-template-rows", "grid-column-start", "grid-column-end",
+  "grid-row-start", "grid-row-end", "grid-auto-flow", "grid-auto-columns", "grid-auto-rows",
+  "justify-content", "justify-items", "justify-self", "align-content", "align-items", "align-self",
+  "row-gap", "column-gap",
+  "width", "min-width", "max-width", "height", "min-height", "max-height", "aspect-ratio",
+  "margin-top", "margin-right", "margin-bottom", "margin-left",
+  "padding-top", "padding-right", "padding-bottom", "padding-left",
+  "border-top-left-radius", "border-top-right-radius", "border-bottom-right-radius", "border-bottom-left-radius",
+  "border-top-width", "border-right-width", "border-bottom-width", "border-left-width",
+  "border-top-style", "border-right-style", "border-bottom-style", "border-left-style",
+  "border-top-color", "border-right-color", "border-bottom-color", "border-left-color",
+  "border-collapse", "table-layout",
+  "background-color", "background-image", "background-size", "background-position",
+  "background-repeat", "background-attachment", "background-clip",
+  "fill", "stroke", "stroke-width",
+  "text-align", "text-indent", "vertical-align",
+  "font-family", "font-size", "font-weight", "text-transform", "font-style",
+  "line-height", "letter-spacing", "color",
+  "text-decoration-line", "text-decoration-color", "text-decoration-style",
+  "text-decoration-thickness", "text-underline-offset", "text-overflow",
+  "white-space", "word-break", "overflow-wrap", "list-style-type", "list-style-position",
+  "opacity", "box-shadow", "mix-blend-mode", "filter", "backdrop-filter",
+  "transform", "transform-origin",
+  "transition-property", "transition-delay", "transition-duration", "transition-timing-function",
+  "animation-name", "animation-duration", "animation-timing-function", "animation-delay",
+  "animation-iteration-count", "animation-direction", "animation-fill-mode",
+  "cursor", "pointer-events", "user-select", "content",
+];
+
+const INHERITED = [
+  "visibility", "border-collapse", "fill", "stroke", "stroke-width", "text-align", "text-indent",
+  "font-family", "font-size", "font-weight", "text-transform", "font-style", "line-height",
+  "letter-spacing", "color", "white-space", "word-break", "overflow-wrap", "list-style-type",
+  "list-style-position", "cursor", "pointer-events",
+];
+
+// Tailwind's default spacing scale, by pixel value
+const SPACING = {
+  0: "0", 1: "px", 2: "0.5", 4: "1", 6: "1.5", 8: "2", 10: "2.5", 12: "3", 14: "3.5", 16: "4",
+  20: "5", 24: "6", 28: "7", 32: "8", 36: "9", 40: "10", 44: "11", 48: "12", 56: "14", 64: "16",
+  80: "20", 96: "24", 112: "28", 128: "32", 144: "36", 160: "40", 176: "44", 192: "48",
+  208: "52", 224: "56", 240: "60", 256: "64", 288: "72", 320: "80", 384: "96",
+};
+const SPACING_PROPERTIES = [
+  "margin-top", "margin-right", "margin-bottom", "margin-left",
+  "padding-top", "padding-right", "padding-bottom", "padding-left", "row-gap", "column-gap",
+];
+
+// Font size -> [name, the line height it comes with]
+const FONT_SIZES = {
+  12: ["xs", "16px"], 14: ["sm", "20px"], 16: ["base", "24px"], 18: ["lg", "28px"],
+  20: ["xl", "28px"], 24: ["2xl", "32px"], 30: ["3xl", "36px"], 36: ["4xl", "40px"],
+  48: ["5xl", "48px"], 60: ["6xl", "60px"], 72: ["7xl", "72px"], 96: ["8xl", "96px"], 128: ["9xl", "128px"],
+};
+const LINE_HEIGHTS = { 12: "3", 16: "4", 20: "5", 24: "6", 28: "7", 32: "8", 36: "9", 40: "10" };
+const MAX_WIDTHS = {
+  320: "xs", 384: "sm", 448: "md", 512: "lg", 576: "xl", 672: "2xl", 768: "3xl",
+  896: "4xl", 1024: "5xl", 1152: "6xl", 1280: "7xl",
+};
+const RADII = { 0: "-none", 2: "-sm", 4: "", 6: "-md", 8: "-lg", 12: "-xl", 16: "-2xl", 24: "-3xl" };
+const BORDER_WIDTHS = { 0: "-0", 1: "", 2: "-2", 4: "-4", 8: "-8" };
+const DURATIONS = [0, 75, 100, 150, 200, 300, 500, 700, 1000];
+const EASINGS = {
+  linear: "ease-linear",
+  "cubic-bezier(0.4, 0, 1, 1)": "ease-in",
+  "cubic-bezier(0, 0, 0.2, 1)": "ease-out",
+  "cubic-bezier(0.4, 0, 0.2, 1)": "ease-in-out",
+};
+const TRANSITIONS = {
+  all: "transition-all",
+  none: "transition-none",
+  opacity: "transition-opacity",
+  "box-shadow": "transition-shadow",
+  transform: "transition-transform",
+  "color, background-color, border-color, text-decoration-color, fill, stroke": "transition-colors",
+};
+const POSITIONS = {
+  "50% 50%": "center", "0% 0%": "left-top", "50% 0%": "top", "100% 0%": "right-top",
+  "0% 50%": "left", "100% 50%": "right", "0% 100%": "left-bottom", "50% 100%": "bottom",
+  "100% 100%": "right-bottom",
+};
+
+// Keyword values with a utility of their own
+const KEYWORDS = {
+  display: {
+    block: "block", "inline-block": "inline-block", inline: "inline", flex: "flex",
+    "inline-flex": "inline-flex", grid: "grid", "inline-grid": "inline-grid", table: "table",
+    "inline-table": "inline-table", "table-caption": "table-caption", "table-cell": "table-cell",
+    "table-column": "table-column", "table-column-group": "table-column-group",
+    "table-footer-group": "table-footer-group", "table-header-group": "table-header-group",
+    "table-row-group": "table-row-group", "table-row": "table-row", "flow-root": "flow-root",
+    contents: "contents", "list-item": "list-item", none: "hidden",
+  },
+  position: { static: "static", fixed: "fixed", absolute: "absolute", relative: "relative", sticky: "sticky" },
+  float: { left: "float-left", right: "float-right", none: "float-none" },
+  clear: { left: "clear-left", right: "clear-right", both: "clear-both", none: "clear-none" },
+  "box-sizing": { "border-box": "box-border", "content-box": "box-content" },
+  visibility: { visible: "visible", hidden: "invisible", collapse: "collapse" },
+  "object-fit": {
+    contain: "object-contain", cover: "object-cover", fill: "object-fill", none: "object-none",
+    "scale-down": "object-scale-down",
+  },
+  "flex-direction": {
+    row: "flex-row", "row-reverse": "flex-row-reverse", column: "flex-col",
+    "column-reverse": "flex-col-reverse",
+  },
+  "flex-wrap": { wrap: "flex-wrap", nowrap: "flex-nowrap", "wrap-reverse": "flex-wrap-reverse" },
+  "grid-auto-flow": {
+    row: "grid-flow-row", column: "grid-flow-col", dense: "grid-flow-dense",
+    "row dense": "grid-flow-row-dense", "column dense": "grid-flow-col-dense",
+  },
+  "justify-content": {
+    normal: "justify-normal", "flex-start": "justify-start", "flex-end": "justify-end",
+    center: "justify-center", "space-between": "justify-between", "space-around": "justify-around",
+    "space-evenly": "justify-evenly", stretch: "justify-stretch",
+  },
+  "justify-items": {
+    start: "justify-items-start", end: "justify-items-end", center: "justify-items-center",
+    stretch: "justify-items-stretch",
+  },
+  "justify-self": {
+    auto: "justify-self-auto", start: "justify-self-start", end: "justify-self-end",
+    center: "justify-self-center", stretch: "justify-self-stretch",
+  },
+  "align-content": {
+    normal: "content-normal", center: "content-center", "flex-start": "content-start",
+    "flex-end": "content-end", "space-between": "content-between", "space-around": "content-around",
+    "space-evenly": "content-evenly", baseline: "content-baseline", stretch: "content-stretch",
+  },
+  "align-items": {
+    "flex-start": "items-start", "flex-end": "items-end", center: "items-center",
+    baseline: "items-baseline", stretch: "items-stretch",
+  },
+  "align-self": {
+    auto: "self-auto", "flex-start": "self-start", "flex-end": "self-end", center: "self-center",
+    stretch: "self-stretch", baseline: "self-baseline",
+  },
+  "border-collapse": { collapse: "border-collapse", separate: "border-separate" },
+  "table-layout": { auto: "table-auto", fixed: "table-fixed" },
+  "background-size": { auto: "bg-auto", cover: "bg-cover", contain: "bg-contain" },
+  "background-repeat": {
+    repeat: "bg-repeat", "no-repeat": "bg-no-repeat", "repeat-x": "bg-repeat-x",
+    "repeat-y": "bg-repeat-y", round: "bg-repeat-round", space: "bg-repeat-space",
+  },
+  "background-attachment": { fixed: "bg-fixed", local: "bg-local", scroll: "bg-scroll" },
+  "background-clip": {
+    "border-box": "bg-clip-border", "padding-box": "bg-clip-padding",
+    "content-box": "bg-clip-content", text: "bg-clip-text",
+  },
+  "text-align": {
+    left: "text-left", center: "text-center", right: "text-right", justify: "text-justify",
+    start: "text-start", end: "text-end",
+  },
+  "vertical-align": {
+    baseline: "align-baseline", top: "align-top", middle: "align-middle", bottom: "align-bottom",
+    "text-top": "align-text-top", "text-bottom": "align-text-bottom", sub: "align-sub",
+    super: "align-super",
+  },
+  "font-weight": {
+    100: "font-thin", 200: "font-extralight", 300: "font-light", 400: "font-normal",
+    500: "font-medium", 600: "font-semibold", 700: "font-bold", 800: "font-extrabold", 900: "font-black",
+  },
+  "text-transform": {
+    uppercase: "uppercase", lowercase: "lowercase", capitalize: "capitalize", none: "normal-case",
+  },
+  "font-style": { italic: "italic", normal: "not-italic" },
+  "text-decoration-line": {
+    underline: "underline", overline: "overline", "line-through": "line-through", none: "no-underline",
+  },
+  "text-decoration-style": {
+    solid: "decoration-solid", double: "decoration-double", dotted: "decoration-dotted",
+    dashed: "decoration-dashed", wavy: "decoration-wavy",
+  },
+  "text-overflow": { ellipsis: "text-ellipsis", clip: "text-clip" },
+  "white-space": {
+    normal: "whitespace-normal", nowrap: "whitespace-nowrap", pre: "whitespace-pre",
+    "pre-line": "whitespace-pre-line", "pre-wrap": "whitespace-pre-wrap",
+    "break-spaces": "whitespace-break-spaces",
+  },
+  "word-break": { normal: "break-normal", "break-all": "break-all", "keep-all": "break-keep" },
+  "overflow-wrap": { "break-word": "break-words" },
+  "list-style-type": { none: "list-none", disc: "list-disc", decimal: "list-decimal" },
+  "list-style-position": { inside: "list-inside", outside: "list-outside" },
+  "mix-blend-mode": Object.fromEntries(
+    [
+      "normal", "multiply", "screen", "overlay", "darken", "lighten", "color-dodge", "color-burn",
+      "hard-light", "soft-light", "difference", "exclusion", "hue", "saturation", "color",
+      "luminosity", "plus-lighter",
+    ].map((mode) => [mode, `mix-blend-${mode}`])
+  ),
+  cursor: Object.fromEntries(
+    [
+      "auto", "default", "pointer", "wait", "text", "move", "help", "not-allowed", "none",
+      "context-menu", "progress", "cell", "crosshair", "vertical-text", "alias", "copy", "no-drop",
+      "grab", "grabbing", "all-scroll", "col-resize", "row-resize", "ew-resize", "ns-resize",
+      "zoom-in", "zoom-out",
+    ].map((cursor) => [cursor, `cursor-${cursor}`])
+  ),
+  "pointer-events": { none: "pointer-events-none", auto: "pointer-events-auto" },
+  "user-select": { none: "select-none", text: "select-text", all: "select-all", auto: "select-auto" },
+};
+
+const SIDES = [
+  ["top", "t"],
+  ["right", "r"],
+  ["bottom", "b"],
+  ["left", "l"],
+];
+const CORNERS = [
+  ["top-left", "tl"],
+  ["top-right", "tr"],
+  ["bottom-right", "br"],
+  ["bottom-left", "bl"],
+];
+const COLOR_PROPERTIES = [
+  "color", "background-color", "border-top-color", "border-right-color", "border-bottom-color",
+  "border-left-color", "text-decoration-color", "fill", "stroke",
+];
+
+// Room for the palette most sites use; rarer colors stay arbitrary values
+const MAX_THEME_COLORS = 16;
+
+// Properties whose utilities set more than one of them, e.g. text-lg's line height
+const GROUPS = [
+  ["font-size", "line-height"],
+  ["transition-property", "transition-delay", "transition-duration", "transition-timing-function"],
+  PROPERTIES.filter((name) => name.startsWith("animation-")),
+];
+
+// Tailwind's default screens; other breakpoint widths become min-[...] variants
+const SCREENS = { sm: 640, md: 768, lg: 1024, xl: 1280, "2xl": 1536 };
+
+// State variants, in the order Tailwind emits them
+const STATES = ["focus-within", "hover", "focus", "focus-visible", "active"];
+const STATE_PATTERN = /:(focus-within|hover|focus-visible|focus|active)(?![\w-])/;
+
+export class TailwindConverter {
+  constructor() {
+    // class -> { css, order, pseudo, state, screen }, shared by every page of the clone
+    this.rules = new Map();
+    this.theme = { colors: new Map(), fonts: new Map(), spacing: new Map() };
+    this.spacing = new Map(Object.entries(SPACING).map(([px, key]) => [Number(px), key]));
+  }
+
+  /**
+   * Resolve the styles that differ from Tailwind's defaults for every element
+   * of the live page. Each breakpoint width is read as well, so the styles
+   * come back mobile-first: the narrowest width as the base and sm:/md:/...
+   * variants for what changes above it, plus hover:/focus: variants for the
+   * elements the page's stylesheets give states. Elements are tagged with
+   * data-tw so the serialized markup can be matched back to their styles.
+   */
+  async capture(page, { breakpoints = [] } = {}) {
+    const primary = page.viewport();
+    const widths = primary ? [...new Set(breakpoints)].filter((width) => width !== primary.width) : [];
+
+    const snapshots = [];
+    for (const width of widths) {
+      await page.setViewport({ ...primary, width });
+      snapshots.push({ width, ...(await this.snapshot(page)) });
+    }
+    if (widths.length > 0) await page.setViewport(primary);
+    // The primary width goes last, so its layout is what gets serialized
+    const main = await this.snapshot(page);
+    snapshots.push({ width: primary?.width || 0, ...main });
+
+    const styles = this.combine(snapshots, primary?.width || 0);
+    const states = await this.captureStates(page);
+    for (const [id, variants] of Object.entries(states)) {
+      styles[id] = { base: {}, ...styles[id], ...variants };
+    }
+
+    const variants = widths.length > 0 ? ` at ${widths.length + 1} widths` : "";
+    console.log(chalk.gray(`💨 Resolved styles for ${main.count} elements${variants}`));
+    return styles;
+  }
+
+  /**
+   * Read every element at the current viewport width: what differs from the
+   * defaults, the value each of those properties has when nothing sets it,
+   * and generated content.
+   */
+  async snapshot(page) {
+    return await page.evaluate(
+      (properties, inherited, groups, preflight) => {
+        // Defaults come from a blank document with only preflight applied
+        const frame = document.createElement("iframe");
+        frame.style.cssText = "position: absolute; width: 0; height: 0; border: 0; visibility: hidden;";
+        document.documentElement.appendChild(frame);
+        const doc = frame.contentDocument;
+        doc.open();
+        doc.write("<!DOCTYPE html><html><head></head><body></body></html>");
+        doc.close();
+        // Constructed sheets aren't subject to the page's style-src policy
+        const sheet = new frame.contentWindow.CSSStyleSheet();
+        sheet.replaceSync(preflight);
+        doc.adoptedStyleSheets = [sheet];
+
+        const read = (el, pseudo) => {
+          const computed = el.ownerDocument.defaultView.getComputedStyle(el, pseudo);
+          return Object.fromEntries(properties.map((name) => [name, computed.getPropertyValue(name)]));
+        };
+        // An element that isn't rendered reports computed rather than used
+        // values: "auto" and "50%" instead of the pixels they came to
+        const readSpecified = (el) => {
+          const display = el.ownerDocument.defaultView.getComputedStyle(el).display;
+          const saved = el.getAttribute("style");
+          el.style.setProperty("display", "none", "important");
+          const values = read(el);
+          if (saved === null) el.removeAttribute("style");
+          else el.setAttribute("style", saved);
+          return { ...values, display };
+        };
+
+        const defaults = new Map();
+        const defaultsFor = (el) => {
+          const type = el.localName === "input" ? el.getAttribute("type") || "text" : "";
+          const key = `${el.namespaceURI} ${el.localName} ${type}`;
+          if (!defaults.has(key)) {
+            const probe = doc.createElementNS(el.namespaceURI, el.localName);
+            if (type) probe.setAttribute("type", type);
+            doc.body.appendChild(probe);
+            defaults.set(key, readSpecified(probe));
+            probe.remove();
+          }
+          return defaults.get(key);
+        };
+        const plain = defaultsFor(doc.createElement("div"));
+        const probe = doc.body.appendChild(doc.createElement("div"));
+        const pseudoDefaults = read(probe, "::before");
+        probe.remove();
+        const rootDefaults = readSpecified(doc.documentElement);
+
+        const diff = (values, expected) => {
+          const changed = {};
+          for (const name of [...properties, "display"]) {
+            if (values[name] !== expected[name]) changed[name] = values[name];
+          }
+          return changed;
+        };
+        // Drop differences nobody can see, and keep groups whose utilities
+        // set more than one property complete
+        const tidy = (changed, values) => {
+          for (const side of ["top", "right", "bottom", "left"]) {
+            if (values[`border-${side}-width`] === "0px") {
+              delete changed[`border-${side}-color`];
+              delete changed[`border-${side}-style`];
+            }
+          }
+          if (values["text-decoration-line"] === "none") {
+            delete changed["text-decoration-color"];
+            delete changed["text-decoration-style"];
+            delete changed["text-decoration-thickness"];
+          }
+          if (values["background-image"] === "none") {
+            ["background-size", "background-position", "background-repeat", "background-attachment"]
+              .forEach((name) => delete changed[name]);
+          }
+          if (values.transform === "none") delete changed["transform-origin"];
+          for (const group of groups) {
+            if (group.some((name) => name in changed)) {
+              group.forEach((name) => (changed[name] = values[name]));
+            }
+          }
+          if (values["transition-duration"].split(",").every((value) => parseFloat(value) === 0)) {
+            properties
+              .filter((name) => name.startsWith("transition-"))
+              .forEach((name) => delete changed[name]);
+          }
+          if (values["animation-name"] === "none") {
+            properties
+              .filter((name) => name.startsWith("animation-"))
+              .forEach((name) => delete changed[name]);
+          }
+          delete changed.content;
+          return changed;
+        };
+
+        const skip = new Set(["head", "script", "style", "link", "meta", "title", "noscript", "template", "base"]);
+        const output = new Map();
+        const result = {};
+        // Ids carry over between widths, so each element keeps the one it
+        // was first tagged with
+        let nextId = window.__uiCloneTailwindId || 0;
+        let count = 0;
+
+        const visit = (el, parent) => {
+          const values = readSpecified(el);
+          const own = el === document.documentElement ? rootDefaults : defaultsFor(el);
+          // Slotted children inherit from wherever their slot sits
+          const parentValues = output.get(el.assignedSlot?.parentElement || parent) || rootDefaults;
+          const expected = {};
+          for (const name of [...properties, "display"]) {
+            // Inherited unless the element's own defaults set it (h1, small, code)
+            expected[name] =
+              inherited.includes(name) && own[name] === plain[name] ? parentValues[name] : own[name];
+          }
+
+          const entry = { base: tidy(diff(values, expected), values) };
+          for (const pseudo of ["before", "after"]) {
+            const content = getComputedStyle(el, `::${pseudo}`).content;
+            if (!content || content === "none" || content === "normal") continue;
+            const pseudoValues = { ...read(el, `::${pseudo}`), display: getComputedStyle(el, `::${pseudo}`).display };
+            const pseudoExpected = { ...pseudoDefaults, display: "inline" };
+            inherited.forEach((name) => (pseudoExpected[name] = values[name]));
+            entry[pseudo] = { ...tidy(diff(pseudoValues, pseudoExpected), pseudoValues), content };
+          }
+
+          // The root keeps the 16px rem that the spacing scale is built on;
+          // its font size moves to the elements below it
+          if (el === document.documentElement) {
+            delete entry.base["font-size"];
+            values["font-size"] = rootDefaults["font-size"];
+          }
+          output.set(el, values);
+
+          // What a property falls back to where a wider breakpoint stops
+          // setting it
+          entry.reset = {};
+          for (const name of Object.keys(entry.base)) {
+            entry.reset[name] =
+              el !== document.documentElement && inherited.includes(name) && own[name] === plain[name]
+                ? "inherit"
+                : own[name];
+          }
+
+          if (!el.hasAttribute("data-tw")) el.setAttribute("data-tw", nextId++);
+          const { reset, ...changes } = entry;
+          if (Object.values(changes).some((changed) => Object.keys(changed).length > 0)) {
+            result[el.getAttribute("data-tw")] = entry;
+          }
+          count++;
+        };
+
+        const walk = (root, parent) => {
+          for (const el of root.children) {
+            if (skip.has(el.localName) || el === frame) continue;
+            visit(el, parent);
+            // Shadow content ends up in the host when it is flattened
+            if (el.shadowRoot) walk(el.shadowRoot, el);
+            walk(el, el);
+          }
+        };
+        visit(document.documentElement, null);
+        walk(document.documentElement, document.documentElement);
+
+        window.__uiCloneTailwindId = nextId;
+        frame.remove();
+        return { count, styles: result };
+      },
+      PROPERTIES,
+      INHERITED,
+      GROUPS,
+      PREFLIGHT
+    );
+  }
+
+  /**
+   * Merge the snapshots taken at each width mobile-first. The narrowest
+   * width is the base; every wider one adds a variant with what changed,
+   * setting properties back where it no longer declares them. Generated
+   * content comes from the primary width.
+   */
+  combine(snapshots, primaryWidth) {
+    const sorted = [...snapshots].sort((a, b) => a.width - b.width);
+    const primary = sorted.find((snapshot) => snapshot.width === primaryWidth) || sorted[sorted.length - 1];
+    const ids = new Set(sorted.flatMap((snapshot) => Object.keys(snapshot.styles)));
+    const [first, ...wider] = sorted;
+    const styles = {};
+
+    for (const id of ids) {
+      const reset = Object.assign({}, ...sorted.map((snapshot) => snapshot.styles[id]?.reset));
+      const entry = { base: { ...first.styles[id]?.base } };
+      const current = { ...entry.base };
+
+      for (const { width, styles: widthStyles } of wider) {
+        const changed = widthStyles[id]?.base || {};
+        const variant = {};
+        for (const name of new Set([...Object.keys(current), ...Object.keys(changed)])) {
+          const value = name in changed ? changed[name] : reset[name];
+          if (value !== (name in current ? current[name] : reset[name])) variant[name] = value;
+        }
+        // Utilities that set several properties need the whole group
+        for (const group of GROUPS) {
+          if (group.some((name) => name in variant)) {
+            group.filter((name) => name in changed).forEach((name) => (variant[name] = changed[name]));
+          }
+        }
+        Object.assign(current, variant);
+        if (Object.keys(variant).length > 0) entry[this.screenFor(width)] = variant;
+      }
+
+      for (const pseudo of ["before", "after"]) {
+        if (primary.styles[id]?.[pseudo]) entry[pseudo] = primary.styles[id][pseudo];
+      }
+      if (Object.values(entry).some((values) => Object.keys(values).length > 0)) styles[id] = entry;
+    }
+    return styles;
+  }
+
+  screenFor(width) {
+    const name = Object.keys(SCREENS).find((screen) => SCREENS[screen] === width);
+    return name || `min-[${width}px]`;
+  }
+
+  /**
+   * Force each state the page's stylesheets style on the elements they
+   * apply to, and keep what changes as hover:, focus:, ... variants.
+   */
+  async captureStates(page) {
+    const selectorTexts = await page.evaluate((pattern) => {
+      const found = [];
+      const visit = (rules) => {
+        for (const rule of rules) {
+          if (rule.selectorText && new RegExp(pattern).test(rule.selectorText)) found.push(rule.selectorText);
+          // @media, @supports and @layer blocks, and nested rules
+          if (rule.cssRules) visit(rule.cssRules);
+        }
+      };
+      for (const sheet of document.styleSheets) {
+        try {
+          visit(sheet.cssRules);
+        } catch {
+          // Cross-origin sheets served without CORS hide their rules
+        }
+      }
+      return found;
+    }, STATE_PATTERN.source);
+
+    const targets = this.stateSelectors(selectorTexts);
+    if (targets.length === 0) return {};
+
+    const tagged = await page.evaluate((targets) => {
+      const states = new Map();
+      for (const { query, states: names } of targets) {
+        let elements = [];
+        try {
+          elements = document.querySelectorAll(query);
+        } catch {
+          continue;
+        }
+        for (const el of elements) {
+          if (!el.hasAttribute("data-tw")) continue;
+          if (!states.has(el)) states.set(el, new Set());
+          names.forEach((name) => states.get(el).add(name));
+        }
+      }
+      states.forEach((names, el) => el.setAttribute("data-tw-state", [...names].join(" ")));
+      return states.size;
+    }, targets);
+    if (tagged === 0) return {};
+
+    const client = await page.createCDPSession();
+    const result = {};
+    try {
+      await client.send("DOM.enable");
+      await client.send("CSS.enable");
+      const { root } = await client.send("DOM.getDocument", { depth: 0 });
+      const { nodeIds } = await client.send("DOM.querySelectorAll", {
+        nodeId: root.nodeId,
+        selector: "[data-tw-state]",
+      });
+
+      for (const nodeId of nodeIds) {
+        const { attributes } = await client.send("DOM.getAttributes", { nodeId });
+        // Attributes come as a flat name, value, name, value list
+        const attribute = (name) => attributes[attributes.findIndex((item, i) => i % 2 === 0 && item === name) + 1];
+        const id = attribute("data-tw");
+        const normal = await this.readElement(page, id);
+
+        for (const state of attribute("data-tw-state").split(" ")) {
+          await client.send("CSS.forcePseudoState", { nodeId, forcedPseudoClasses: [state] });
+          const forced = await this.readElement(page, id);
+          const changed = this.stateChanges(normal, forced);
+          if (Object.keys(changed).length > 0) (result[id] ||= {})[state] = changed;
+        }
+        await client.send("CSS.forcePseudoState", { nodeId, forcedPseudoClasses: [] });
+      }
+    } finally {
+      await page.evaluate(() =>
+        document.querySelectorAll("[data-tw-state]").forEach((el) => el.removeAttribute("data-tw-state"))
+      );
+      await client.detach();
+    }
+
+    const count = Object.keys(result).length;
+    if (count > 0) console.log(chalk.gray(`💨 Resolved hover and focus styles for ${count} elements`));
+    return result;
+  }
+
+  /**
+   * Where in each selector a state applies. Only states on the element
+   * the rule styles count: `a:hover` gives <a> a hover: variant, while
+   * `.card:hover .title` depends on another element and is left out.
+   */
+  stateSelectors(selectorTexts) {
+    const targets = new Map();
+    for (const selector of selectorTexts.flatMap((text) => splitTopLevel(text, ","))) {
+      let subject = splitTopLevel(selector, " ").pop();
+      for (const combinator of [">", "+", "~"]) subject = splitTopLevel(subject, combinator).pop();
+      const prefix = selector.slice(0, selector.lastIndexOf(subject));
+
+      const states = [...subject.matchAll(new RegExp(STATE_PATTERN.source, "g"))].map((match) => match[1]);
+      if (states.length === 0 || STATE_PATTERN.test(prefix) || subject.includes("::")) continue;
+
+      const query = prefix + (subject.replace(new RegExp(STATE_PATTERN.source, "g"), "") || "*");
+      if (!targets.has(query)) targets.set(query, new Set());
+      states.forEach((state) => targets.get(query).add(state));
+    }
+    return [...targets].map(([query, states]) => ({ query, states: [...states] }));
+  }
+
+  async readElement(page, id) {
+    return await page.evaluate(
+      (id, properties) => {
+        const el = document.querySelector(`[data-tw="${id}"]`);
+        const display = getComputedStyle(el).display;
+        // Hidden, as in snapshot(): specified values, and no transition
+        // caught halfway
+        const saved = el.getAttribute("style");
+        el.style.setProperty("display", "none", "important");
+        const computed = getComputedStyle(el);
+        const values = Object.fromEntries(properties.map((name) => [name, computed.getPropertyValue(name)]));
+        if (saved === null) el.removeAttribute("style");
+        else el.setAttribute("style", saved);
+        return { ...values, display };
+      },
+      id,
+      PROPERTIES
+    );
+  }
+
+  stateChanges(normal, forced) {
+    const changed = {};
+    for (const [name, value] of Object.entries(forced)) {
+      // Transitions describe how a state is entered, not the state itself
+      if (name.startsWith("transition-") || name.startsWith("animation-")) continue;
+      if (value !== normal[name]) changed[name] = value;
+    }
+    for (const group of GROUPS) {
+      if (group.some((name) => name in changed)) group.forEach((name) => (changed[name] = forced[name]));
+    }
+    return changed;
+  }
+
+  /**
+   * Pick the theme from every captured page: the most used colors, every
+   * font stack, and spacing values off Tailwind's scale that keep coming up.
+   */
+  buildTheme(pages) {
+    const colors = new Map();
+    const fonts = new Set();
+    const spacing = new Map();
+    const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    for (const styles of pages) {
+      for (const entry of Object.values(styles || {})) {
+        for (const values of Object.values(entry)) {
+          for (const name of COLOR_PROPERTIES) {
+            const hex = values[name] && this.toHex(values[name]);
+            if (hex && !["#000000", "#ffffff"].includes(hex)) count(colors, hex);
+          }
+          if (values["font-family"]) fonts.add(values["font-family"]);
+          for (const name of SPACING_PROPERTIES) {
+            const px = this.toPixels(values[name]);
+            if (px > 0 && px % 2 === 0 && !this.spacing.has(px)) count(spacing, px);
+          }
+        }
+      }
+    }
+
+    [...colors]
+      .filter(([, uses]) => uses > 1)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_THEME_COLORS)
+      .forEach(([hex], i) => this.theme.colors.set(hex, `site-${i + 1}`));
+
+    const used = new Set(["sans", "serif", "mono"]);
+    for (const stack of fonts) {
+      const first = splitTopLevel(stack, ",")[0] || "font";
+      const base = first.replace(/['"]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "font";
+      let key = base;
+      for (let i = 2; used.has(key); i++) key = `${base}-${i}`;
+      used.add(key);
+      this.theme.fonts.set(stack, key);
+    }
+
+    for (const [px, uses] of spacing) {
+      if (uses < 3) continue;
+      const key = String(px / 4);
+      this.theme.spacing.set(px, key);
+      this.spacing.set(px, key);
+    }
+
+    console.log(
+      chalk.gray(
+        `💨 Tailwind theme: ${this.theme.colors.size} colors, ${this.theme.fonts.size} fonts, ${this.theme.spacing.size} spacing values`
+      )
+    );
+  }
+
+  /**
+   * Replace classes and inline styles in serialized markup with the
+   * utilities for each element's captured styles.
+   */
+  apply($, styles) {
+    $("[data-tw]").each((_, el) => {
+      const entry = styles[el.attribs["data-tw"]];
+      delete el.attribs["data-tw"];
+      const { classes, inline } = entry ? this.toClasses(entry) : { classes: [], inline: [] };
+
+      if (classes.length > 0) el.attribs.class = classes.join(" ");
+      else delete el.attribs.class;
+      // Images stay in inline styles, where the asset pipeline localizes
+      // them; <body> keeps the demo padding --selector gives it
+      if (el.name === "body" && el.attribs.style) return;
+      if (inline.length > 0) el.attribs.style = inline.join("; ");
+      else delete el.attribs.style;
+    });
+  }
+
+  toClasses(entry) {
+    const classes = [];
+    const inline = [];
+    for (const [variant, values] of Object.entries(entry)) {
+      const base = variant === "base";
+      for (const [name, value] of Object.entries(values)) {
+        if (base && value.includes("url(")) {
+          inline.push(`${name}: ${value}`);
+          delete values[name];
+        }
+      }
+      for (const { name, css, property } of this.mapDeclarations(values)) {
+        const className = base ? name : `${variant}:${name}`;
+        if (!this.rules.has(className)) {
+          this.rules.set(className, { css, ...this.parseVariant(variant), order: PROPERTIES.indexOf(property) });
+        }
+        classes.push(className);
+      }
+    }
+    return { classes, inline };
+  }
+
+  parseVariant(variant) {
+    if (variant === "base") return { pseudo: null, state: null, screen: null };
+    if (variant === "before" || variant === "after") return { pseudo: variant, state: null, screen: null };
+    if (STATES.includes(variant)) return { pseudo: null, state: variant, screen: null };
+    const width = SCREENS[variant] ?? Number(variant.match(/^min-\[(\d+)px\]$/)?.[1]);
+    return { pseudo: null, state: null, screen: width || null };
+  }
+
+  mapDeclarations(values) {
+    const rest = { ...values };
+    const utilities = [];
+    const add = (name, declarations) => {
+      const properties = Object.keys(declarations);
+      // A declaration the utility sets differently (text-lg's line height)
+      // still gets a utility of its own, which comes later and wins
+      properties
+        .filter((property) => rest[property] === declarations[property])
+        .forEach((property) => delete rest[property]);
+      const css = properties.map((property) => `${property}: ${declarations[property]}`).join("; ");
+      utilities.push({ name, css, property: properties[0] });
+    };
+
+    // Sides sharing a value collapse into one utility: m-4, px-6, border-2
+    this.mapSides(rest, add, "margin", (side) => `margin-${side}`, (value) =>
+      this.toScale(value, { auto: true, negative: true, fractions: true })
+    );
+    this.mapSides(rest, add, "padding", (side) => `padding-${side}`, (value) =>
+      this.toScale(value, { fractions: true })
+    );
+    this.mapSides(rest, add, "inset", (side) => side, (value) =>
+      this.toScale(value, { auto: true, negative: true, fractions: true })
+    );
+    this.mapSides(rest, add, "border", (side) => `border-${side}-width`, (value) => {
+      const px = this.toPixels(value);
+      return px in BORDER_WIDTHS ? BORDER_WIDTHS[px] : `-${this.toArbitrary(value)}`;
+    });
+    this.mapSides(rest, add, "border", (side) => `border-${side}-color`, (value) => `-${this.toColor(value)}`);
+    this.mapSides(rest, add, "border", (side) => `border-${side}-style`, (value) =>
+      ["solid", "dashed", "dotted", "double", "hidden", "none"].includes(value) ? `-${value}` : null
+    );
+    this.mapCorners(rest, add);
+    this.mapPair(rest, add, ["row-gap", "column-gap"], "gap", ["y", "x"], (value) => this.toScale(value));
+    this.mapPair(rest, add, ["overflow-y", "overflow-x"], "overflow", ["y", "x"], (value) =>
+      ["auto", "hidden", "clip", "visible", "scroll"].includes(value) ? value : null
+    );
+
+    for (const [property, value] of Object.entries(rest)) {
+      if (!(property in rest)) continue;
+      const name = this.toUtility(property, value, rest);
+      if (name === null) {
+        // No utility covers it: an arbitrary property still keeps it a class
+        add(`[${property}:${this.toArbitrary(value).slice(1, -1)}]`, { [property]: value });
+      } else if (typeof name === "string") {
+        add(name, { [property]: value });
+      } else {
+        add(name.name, name.declarations);
+      }
+    }
+    return utilities;
+  }
+
+  mapSides(rest, add, prefix, propertyFor, format) {
+    const short = { margin: "m", padding: "p" }[prefix];
+    const present = SIDES.filter(([side]) => propertyFor(side) in rest);
+    if (present.length === 0) return;
+
+    const emit = (suffix, sides) => {
+      const value = rest[propertyFor(sides[0][0])];
+      const key = format(value);
+      const declarations = Object.fromEntries(sides.map(([side]) => [propertyFor(side), value]));
+      if (key === null) return;
+      if (short) {
+        // m-4, mx-auto, -mt-2, p-[13px]
+        const negative = key.startsWith("-");
+        add(`${negative ? "-" : ""}${short}${suffix}-${negative ? key.slice(1) : key}`, declarations);
+      } else if (prefix === "inset") {
+        const negative = key.startsWith("-");
+        const base = suffix ? { t: "top", r: "right", b: "bottom", l: "left", x: "inset-x", y: "inset-y" }[suffix] : "inset";
+        add(`${negative ? "-" : ""}${base}-${negative ? key.slice(1) : key}`, declarations);
+      } else {
+        add(`${prefix}${suffix ? `-${suffix}` : ""}${key}`, declarations);
+      }
+    };
+
+    const same = (sides) =>
+      sides.every(([side]) => propertyFor(side) in rest) &&
+      sides.every(([side]) => rest[propertyFor(side)] === rest[propertyFor(sides[0][0])]);
+    if (present.length === 4 && same(SIDES)) {
+      emit("", SIDES);
+      return;
+    }
+    const horizontal = [SIDES[1], SIDES[3]];
+    const vertical = [SIDES[0], SIDES[2]];
+    if (same(horizontal)) emit("x", horizontal);
+    if (same(vertical)) emit("y", vertical);
+    for (const side of SIDES) {
+      if (propertyFor(side[0]) in rest) emit(side[1], [side]);
+    }
+  }
+
+  mapCorners(rest, add) {
+    const property = ([corner]) => `border-${corner}-radius`;
+    const present = CORNERS.filter((corner) => property(corner) in rest);
+    if (present.length === 0) return;
+
+    const format = (value) => {
+      const px = this.toPixels(value);
+      if (px in RADII) return RADII[px];
+      if (px >= 9999) return "-full";
+      return /\s/.test(value) ? null : `-${this.toArbitrary(value)}`;
+    };
+    const values = present.map((corner) => rest[property(corner)]);
+    if (present.length === 4 && values.every((value) => value === values[0])) {
+      const key = format(values[0]);
+      if (key !== null) {
+        add(`rounded${key}`, Object.fromEntries(CORNERS.map((corner) => [property(corner), values[0]])));
+        return;
+      }
+    }
+    for (const corner of present) {
+      const key = format(rest[property(corner)]);
+      if (key !== null) add(`rounded-${corner[1]}${key}`, { [property(corner)]: rest[property(corner)] });
+    }
+  }
+
+  mapPair(rest, add, properties, prefix, suffixes, format) {
+    const [first, second] = properties;
+    if (first in rest && second in rest && rest[first] === rest[second]) {
+      const key = format(rest[first]);
+      if (key !== null) {
+        add(`${prefix}-${key}`, { [first]: rest[first], [second]: rest[second] });
+        return;
+      }
+    }
+    properties.forEach((property, i) => {
+      if (!(property in rest)) return;
+      const key = format(rest[property]);
+      if (key !== null) add(`${prefix}-${suffixes[i]}-${key}`, { [property]: rest[property] });
+    });
+  }
+
+  /**
+   * The utility for one declaration: a class name, a { name, declarations }
+   * pair when the utility sets more than the one property, or null when
+   * nothing fits.
+   */
+  toUtility(property, value, rest) {
+    // Set back at a breakpoint; only an arbitrary property says "inherit"
+    if (value === "inherit") return null;
+
+    const keyword = KEYWORDS[property]?.[value];
+    if (keyword) {
+      if (property === "background-clip" && value === "text") {
+        return { name: keyword, declarations: { "-webkit-background-clip": "text", "background-clip": "text" } };
+      }
+      return keyword;
+    }
+
+    const px = this.toPixels(value);
+    const scale = (prefix, options) => {
+      const key = this.toScale(value, options);
+      if (key === null) return null;
+      return key.startsWith("-") ? `-${prefix}-${key.slice(1)}` : `${prefix}-${key}`;
+    };
+
+    switch (property) {
+      case "z-index":
+        return ["0", "10", "20", "30", "40", "50", "auto"].includes(value)
+          ? `z-${value}`
+          : `z-${this.toArbitrary(value)}`;
+      case "flex-grow":
+        return value === "1" ? "grow" : value === "0" ? "grow-0" : `grow-${this.toArbitrary(value)}`;
+      case "flex-shrink":
+        return value === "1" ? "shrink" : value === "0" ? "shrink-0" : `shrink-${this.toArbitrary(value)}`;
+      case "flex-basis":
+        return scale("basis", { auto: true, fractions: true });
+      case "order": {
+        const order = Number(value);
+        if (order >= 1 && order <= 12) return `order-${order}`;
+        if (order === 9999) return "order-last";
+        if (order === -9999) return "order-first";
+        return order === 0 ? "order-none" : `order-${this.toArbitrary(value)}`;
+      }
+      case "grid-template-columns":
+      case "grid-template-rows": {
+        const prefix = property.endsWith("columns") ? "grid-cols" : "grid-rows";
+        const tracks = value.match(/^repeat\((\d+), minmax\(0(?:px)?, 1fr\)\)$/);
+        if (tracks && Number(tracks[1]) <= 12) return `${prefix}-${tracks[1]}`;
+        return value === "none" ? `${prefix}-none` : `${prefix}-${this.toArbitrary(value)}`;
+      }
+      case "grid-column-start":
+      case "grid-column-end":
+      case "grid-row-start":
+      case "grid-row-end": {
+        const axis = property.startsWith("grid-column") ? "col" : "row";
+        const span = value.match(/^span (\d+)$/);
+        if (span) return `${axis}-span-${span[1]}`;
+        const edge = property.endsWith("start") ? "start" : "end";
+        return /^\d+$/.test(value) && Number(value) <= 13
+          ? `${axis}-${edge}-${value}`
+          : `${axis}-${edge}-${this.toArbitrary(value)}`;
+      }
+      case "grid-auto-columns":
+      case "grid-auto-rows": {
+        const prefix = property.endsWith("columns") ? "auto-cols" : "auto-rows";
+        const named = { auto: "auto", "min-content": "min", "max-content": "max", "minmax(0px, 1fr)": "fr" }[value];
+        return `${prefix}-${named || this.toArbitrary(value)}`;
+      }
+      case "width":
+      case "height": {
+        const prefix = property === "width" ? "w" : "h";
+        const screen = property === "width" ? "100vw" : "100vh";
+        if (value === screen) return `${prefix}-screen`;
+        return scale(prefix, { auto: true, fractions: true, content: true });
+      }
+      case "min-width":
+      case "min-height":
+      case "max-height": {
+        const prefix = { "min-width": "min-w", "min-height": "min-h", "max-height": "max-h" }[property];
+        if (value === "none") return `${prefix}-none`;
+        if (value === "100vh" && property !== "min-width") return `${prefix}-screen`;
+        return scale(prefix, { fractions: property === "max-height", content: true });
+      }
+      case "max-width":
+        if (value === "none") return "max-w-none";
+        if (value === "100%") return "max-w-full";
+        if (MAX_WIDTHS[px]) return `max-w-${MAX_WIDTHS[px]}`;
+        return `max-w-${this.toArbitrary(value)}`;
+      case "aspect-ratio": {
+        const named = { auto: "auto", "1 / 1": "square", "16 / 9": "video" }[value];
+        return `aspect-${named || this.toArbitrary(value.replace(/\s/g, ""))}`;
+      }
+      case "object-position":
+      case "background-position": {
+        const prefix = property === "object-position" ? "object" : "bg";
+        return POSITIONS[value] ? `${prefix}-${POSITIONS[value]}` : null;
+      }
+      case "background-color":
+        return `bg-${this.toColor(value)}`;
+      case "color":
+        return `text-${this.toColor(value)}`;
+      case "fill":
+      case "stroke":
+        return value === "none" ? `${property}-none` : `${property}-${this.toColor(value)}`;
+      case "stroke-width":
+        return ["0", "1", "2"].includes(String(px)) ? `stroke-${px}` : `stroke-${this.toArbitrary(value)}`;
+      case "text-decoration-color":
+        return `decoration-${this.toColor(value)}`;
+      case "text-decoration-thickness":
+        if (value === "auto" || value === "from-font") return `decoration-${value}`;
+        return [0, 1, 2, 4, 8].includes(px) ? `decoration-${px}` : `decoration-${this.toArbitrary(value)}`;
+      case "text-underline-offset":
+        if (value === "auto") return "underline-offset-auto";
+        return [0, 1, 2, 4, 8].includes(px)
+          ? `underline-offset-${px}`
+          : `underline-offset-${this.toArbitrary(value)}`;
+      case "text-indent":
+        return scale("indent", { negative: true });
+      case "vertical-align":
+        return `align-${this.toArbitrary(value)}`;
+      case "font-family":
+        return this.theme.fonts.has(value) ? `font-${this.theme.fonts.get(value)}` : null;
+      case "font-size": {
+        if (FONT_SIZES[px]) {
+          const [name, lineHeight] = FONT_SIZES[px];
+          return { name: `text-${name}`, declarations: { "font-size": value, "line-height": lineHeight } };
+        }
+        return { name: `text-${this.toArbitrary(value)}`, declarations: { "font-size": value } };
+      }
+      case "font-weight":
+        return `font-${this.toArbitrary(value)}`;
+      case "line-height":
+        if (LINE_HEIGHTS[px]) return `leading-${LINE_HEIGHTS[px]}`;
+        return `leading-${this.toArbitrary(value)}`;
+      case "letter-spacing":
+        return value === "normal" ? "tracking-normal" : `tracking-${this.toArbitrary(value)}`;
+      case "list-style-type":
+        return `list-${this.toArbitrary(value)}`;
+      case "opacity": {
+        const percent = Math.round(Number(value) * 100);
+        return percent % 5 === 0 ? `opacity-${percent}` : `opacity-${this.toArbitrary(value)}`;
+      }
+      case "box-shadow":
+        return value === "none" ? "shadow-none" : `shadow-${this.toArbitrary(value)}`;
+      case "transition-property":
+        return TRANSITIONS[value] ? { name: TRANSITIONS[value], declarations: { "transition-property": value } } : null;
+      case "transition-duration":
+      case "transition-delay": {
+        const prefix = property === "transition-duration" ? "duration" : "delay";
+        const ms = /^[\d.]+s$/.test(value) ? Math.round(parseFloat(value) * 1000) : null;
+        return DURATIONS.includes(ms) ? `${prefix}-${ms}` : `${prefix}-${this.toArbitrary(value)}`;
+      }
+      case "transition-timing-function":
+        return EASINGS[value] || null;
+      case "animation-name":
+        // One animate-[...] shorthand for the whole group
+        return {
+          name: `animate-${this.toArbitrary(
+            [
+              "animation-name", "animation-duration", "animation-timing-function", "animation-delay",
+              "animation-iteration-count", "animation-direction", "animation-fill-mode",
+            ]
+              .map((name) => rest[name])
+              .filter(Boolean)
+              .join(" ")
+          )}`,
+          declarations: Object.fromEntries(
+            Object.entries(rest).filter(([name]) => name.startsWith("animation-"))
+          ),
+        };
+      case "content": {
+        const text = value.match(/^"((?:[^"\\']|\\.)*)"$/);
+        return text ? `content-${this.toArbitrary(`'${text[1]}'`)}` : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  toScale(value, { auto = false, negative = false, fractions = false, content = false } = {}) {
+    if (auto && value === "auto") return "auto";
+    if (content) {
+      const named = { "min-content": "min", "max-content": "max", "fit-content": "fit" }[value];
+      if (named) return named;
+    }
+    const px = this.toPixels(value);
+    if (px !== null) {
+      const key = this.spacing.get(Math.abs(px));
+      if (key !== undefined && (px >= 0 || negative)) return px < 0 ? `-${key}` : key;
+      return this.toArbitrary(value);
+    }
+    const percent = value.match(/^(-?[\d.]+)%$/);
+    if (percent && fractions) {
+      const number = parseFloat(percent[1]);
+      if (number === 100) return "full";
+      for (const denominator of [2, 3, 4, 5, 6, 12]) {
+        for (let numerator = 1; numerator < denominator; numerator++) {
+          if (Math.abs((numerator / denominator) * 100 - number) < 0.01) {
+            return `${numerator}/${denominator}`;
+          }
+        }
+      }
+    }
+    return this.toArbitrary(value);
+  }
+
+  toColor(value) {
+    if (value === "currentcolor") return "current";
+    if (/^rgba\(\d+, \d+, \d+, 0\)$/.test(value)) return "transparent";
+    const hex = this.toHex(value);
+    // Other color spaces need a type hint to read as colors
+    if (!hex) return `[color:${this.toArbitrary(value).slice(1, -1)}]`;
+    if (hex === "#000000") return "black";
+    if (hex === "#ffffff") return "white";
+    return this.theme.colors.get(hex) || `[${hex}]`;
+  }
+
+  toHex(value) {
+    const rgb = value.match(/^rgba?\((\d+), (\d+), (\d+)(?:, ([\d.]+))?\)$/);
+    if (!rgb) return null;
+    const channels = rgb.slice(1, 4).map((channel) => Number(channel).toString(16).padStart(2, "0"));
+    const alpha = rgb[4] === undefined ? 1 : Number(rgb[4]);
+    if (alpha < 1) channels.push(Math.round(alpha * 255).toString(16).padStart(2, "0"));
+    return `#${channels.join("")}`;
+  }
+
+  toPixels(value) {
+    const px = value?.match(/^(-?[\d.]+)px$/);
+    return px ? Number(px[1]) : null;
+  }
+
+  toArbitrary(value) {
+    // Tailwind reads _ as a space inside [...]
+    return `[${value
+      .trim()
+      .replace(/,\s+/g, ",")
+      .replace(/_/g, "\\_")
+      .replace(/\s+/g, "_")
+      .replace(/"/g, "'")}]`;
+  }
+
+  /**
+   * What survives of the original stylesheets: the @font-face and @keyframes
+   * rules utilities refer to by name, and imports (web font services).
+   */
+  filterStylesheet(css) {
+    return parseRules(css)
+      .map((rule) => css.slice(rule.start, rule.end).trim())
+      .filter((text) =>
+        /^@(font-face|(-webkit-|-moz-)?keyframes|property|import|charset)\b/i.test(stripComments(text).trim())
+      )
+      .join("\n");
+  }
+
+  /**
+   * Compiled CSS for the utilities a page uses, after the preflight base.
+   */
+  renderStylesheet($) {
+    const used = new Set();
+    $("[class]").each((_, el) => {
+      el.attribs.class.split(/\s+/).forEach((name) => this.rules.has(name) && used.add(name));
+    });
+    // Wider screens come last so they win, and states after the plain rule
+    const state = (rule) => STATES.indexOf(rule.state) + 1;
+    const sorted = [...used].sort((a, b) => {
+      const ruleA = this.rules.get(a);
+      const ruleB = this.rules.get(b);
+      return (
+        (ruleA.screen || 0) - (ruleB.screen || 0) ||
+        state(ruleA) - state(ruleB) ||
+        !!ruleA.pseudo - !!ruleB.pseudo ||
+        ruleA.order - ruleB.order ||
+        a.localeCompare(b)
+      );
+    });
+
+    const lines = [];
+    let screen = null;
+    for (const name of sorted) {
+      const rule = this.rules.get(name);
+      if (rule.screen !== screen) {
+        if (screen) lines.push("}");
+        if (rule.screen) lines.push(`@media (min-width: ${rule.screen}px) {`);
+        screen = rule.screen;
+      }
+      const selector = `.${this.escapeClassName(name)}${rule.state ? `:${rule.state}` : ""}${rule.pseudo ? `::${rule.pseudo}` : ""}`;
+      lines.push(`${screen ? "  " : ""}${selector} { ${rule.css}; }`);
+    }
+    if (screen) lines.push("}");
+    return `${PREFLIGHT}\n${lines.join("\n")}\n`;
+  }
+
+  escapeClassName(name) {
+    return name.replace(/[^a-zA-Z0-9_-]/g, (char) => `\\${char}`);
+  }
+
+  renderConfig(content) {
+    const extend = {};
+    if (this.theme.colors.size > 0) {
+      extend.colors = {
+        site: Object.fromEntries(
+          [...this.theme.colors].map(([hex, key]) => [key.replace("site-", ""), hex])
+        ),
+      };
+    }
+    if (this.theme.fonts.size > 0) {
+      extend.fontFamily = Object.fromEntries(
+        [...this.theme.fonts].map(([stack, key]) => [
+          key,
+          splitTopLevel(stack, ",").map((family) => family.replace(/^(['"])(.*)\1$/, "$2")),
+        ])
+      );
+    }
+    if (this.theme.spacing.size > 0) {
+      extend.spacing = Object.fromEntries(
+        [...this.theme.spacing].map(([px, key]) => [key, `${px / 16}rem`])
+      );
+    }
+    return `/** @type {import('tailwindcss').Config} */\nexport default ${this.toSource({
+      content,
+      theme: { extend },
+      plugins: [],
+    })};\n`;
+  }
+
+  toSource(value, indent = "") {
+    const inner = indent + "  ";
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => this.toSource(item, inner)).join(", ")}]`;
+    }
+    if (value && typeof value === "object") {
+      const entries = Object.entries(value);
+      if (entries.length === 0) return "{}";
+      const lines = entries.map(
+        ([key, item]) =>
+          `${inner}${/^[a-z_$][\w$]*$/i.test(key) ? key : JSON.stringify(key)}: ${this.toSource(item, inner)},`
+      );
+      return `{\n${lines.join("\n")}\n${indent}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
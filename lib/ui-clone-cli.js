@@ -9,6 +9,10 @@ import { fileURLToPath } from "url";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { WebsiteCloner } from "./website-cloner.js";
 import { AIAgent3 } from "./ai-agent3.js";
+import { Session } from "./session.js";
+import { FidelityVerifier } from "./fidelity-verifier.js";
+import { FailureReport } from "./failure-report.js";
+import { RequestBlocker } from "./request-blocker.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -80,7 +84,14 @@ export default class UICloneCLI {
       },
     ]);
 
-    await this.cloneWebsite(answers.url, answers);
+    try {
+      const result = await this.cloneWebsite(answers.url, answers);
+      // Same exit codes as a direct clone: 2 past --max-failures, 1 on error
+      if (!result.passed) process.exitCode = 2;
+    } catch {
+      // Already reported by the spinner
+      process.exitCode = 1;
+    }
   }
 
   async cloneWebsite(url, options = {}) {
@@ -106,27 +117,151 @@ export default class UICloneCLI {
         );
       }
 
+      // Authentication applies to the browser and to direct asset downloads
+      const session = await Session.load({
+        cookieFile: options.cookies,
+        headers: options.header,
+        headerHosts: options.headerHost,
+        storageFile: options.storage,
+        loginScript: options.loginScript,
+      });
+
+      // Block lists from the config file apply to every clone, --block adds to them
+      const config = await this.getConfig();
+      const blocker = await RequestBlocker.load({
+        files: [...(config.blockLists || []), ...(options.blockList || [])],
+        patterns: [...(config.block || []), ...(options.block || [])],
+        defaults: options.defaultBlocks !== false,
+      });
+
       spinner.text = "🌐 Fetching website...";
 
       // Clone the website
       const result = await this.cloner.clone(url, {
         outputDir: options.output || "./cloned-ui",
-        outputType: "html", // Always use HTML output
+        outputType: options.type || "html",
+        css: options.css || "original",
         aiProcessor: this.aiProcessor,
         useAI: !options.noAi && !!this.aiProcessor, // Enable AI by default unless --no-ai is used
+        depth: options.depth,
+        maxPages: options.maxPages,
+        scroll: options.scroll,
+        scrollStep: options.scrollStep,
+        scrollLimit: options.scrollLimit,
+        device: options.device,
+        viewport: options.viewport,
+        breakpoints: options.breakpoints,
+        session,
+        blocker,
+        flattenShadow: options.flattenShadow,
+        removeSelectors: options.removeSelector,
+        clickSelectors: options.clickSelector,
+        consentRules: options.consentRules,
+        selector: options.selector,
+        prune: options.prune,
+        pruneJs: options.pruneJs,
+        staticSnapshot: options.static,
+        format: options.format,
+        inlineLimit: options.inlineLimit && options.inlineLimit * 1024,
+        record: options.record,
+        fromHar: options.fromHar,
+        update: options.update,
+        concurrency: options.concurrency,
+        perHost: options.perHost,
+        retries: options.retries,
+        timeout: options.timeout && options.timeout * 1000,
+        onProgress: ({ completed, failed, total, retries }) => {
+          spinner.text = `📥 Downloading assets ${completed + failed}/${total}${retries > 0 ? ` (${retries} retries)` : ""}`;
+        },
       });
 
-      spinner.succeed(chalk.green("✅ Website cloned successfully!"));
+      // Missing assets don't stop a clone, but --strict/--max-failures can fail it
+      const report = new FailureReport(result.failures);
+      const passed = !report.exceeds({ strict: options.strict, maxFailures: options.maxFailures });
+      if (report.count === 0) {
+        spinner.succeed(chalk.green("✅ Website cloned successfully!"));
+      } else if (passed) {
+        spinner.warn(chalk.yellow(`⚠️ Website cloned with ${report.count} failures`));
+      } else {
+        const limit = options.strict ? "--strict" : `--max-failures ${options.maxFailures}`;
+        spinner.fail(chalk.red(`❌ Website cloned with ${report.count} failures, over ${limit}`));
+      }
 
       console.log(chalk.blue("\n📁 Output:"), result.outputPath);
       console.log(chalk.blue("🎨 Type:"), result.outputType);
       console.log(chalk.blue("📊 Assets:"), `${result.assetsCount} files`);
+      console.log(chalk.blue("🧾 Manifest:"), path.join(result.outputPath, result.manifest));
+      if (result.component) {
+        console.log(chalk.blue("🧩 Snippet:"), path.join(result.outputPath, result.component));
+      }
+      if (result.pages.length > 1) {
+        console.log(chalk.blue("📄 Pages:"), `${result.pages.length} pages`);
+      }
+      for (const breakpoint of result.breakpoints) {
+        console.log(
+          chalk.blue(`📐 ${breakpoint.width}px:`),
+          `${breakpoint.activeMediaQueries.length} media queries active, ${breakpoint.newAssets} new assets`
+        );
+      }
+      if (result.fonts.failed.length > 0) {
+        console.log(
+          chalk.yellow(`\n🔤 ${result.fonts.failed.length} fonts could not be captured (still loaded online):`)
+        );
+        result.fonts.failed.forEach((fontUrl) => console.log(chalk.gray(`  ${fontUrl}`)));
+      }
+      report.print();
+
+      if (result.format === "warc") {
+        console.log(chalk.yellow("\n🗄️ Replay with any WARC viewer, e.g. https://replayweb.page:"));
+        console.log(chalk.white(`  ${path.join(result.outputPath, result.mainFile)}`));
+      } else if (result.format === "mhtml") {
+        console.log(chalk.yellow("\n🗄️ Open in Chrome or Edge:"));
+        console.log(chalk.white(`  ${path.join(result.outputPath, result.mainFile)}`));
+      } else if (result.format === "single-file") {
+        console.log(chalk.yellow("\n🧳 Open directly from disk:"));
+        console.log(chalk.white(`  ${path.join(result.outputPath, result.mainFile)}`));
+      } else if (result.outputType !== "html") {
+        console.log(chalk.yellow("\n⚡ To run the Vite dev server:"));
+        console.log(chalk.white(`  cd ${result.outputPath}`));
+        console.log(chalk.white("  npm install && npm run dev"));
+      } else {
+        console.log(chalk.yellow("\n🌐 To serve locally:"));
+        console.log(chalk.white(`  cd ${result.outputPath}`));
+        console.log(chalk.white("  python -m http.server 8000"));
+      }
 
-      console.log(chalk.yellow("\n🌐 To serve locally:"));
-      console.log(chalk.white(`  cd ${result.outputPath}`));
-      console.log(chalk.white("  python -m http.server 8000"));
+      return { ...result, passed };
     } catch (error) {
       spinner.fail(chalk.red("❌ Cloning failed: " + error.message));
+      throw error;
+    }
+  }
+
+  async verifyClone(url, options = {}) {
+    const spinner = ora("🔍 Verifying clone against the original...").start();
+
+    try {
+      const result = await new FidelityVerifier().verify(url, {
+        outputDir: options.output || "./cloned-ui",
+        pagePath: options.page,
+        baseline: options.baseline,
+        device: options.device,
+        viewport: options.viewport,
+        fullPage: options.fullPage,
+        threshold: options.threshold,
+      });
+
+      const summary = `${result.similarity}% similar (threshold ${result.threshold}%)`;
+      if (result.passed) {
+        spinner.succeed(chalk.green(`✅ ${summary}`));
+      } else {
+        spinner.fail(chalk.red(`❌ ${summary}`));
+      }
+      console.log(chalk.blue("📄 Report:"), result.reportPath);
+      return result;
+    } catch (error) {
+      spinner.fail(chalk.red("❌ Verification failed: " + error.message));
+      throw error;
     }
   }
 
@@ -180,7 +315,11 @@ export default class UICloneCLI {
       if (cloneMatch) {
         const url = cloneMatch[1];
         console.log(chalk.blue(`\n🎨 Cloning ${url}...`));
-        await this.cloneWebsite(url);
+        try {
+          await this.cloneWebsite(url);
+        } catch {
+          // Already reported by the spinner; keep the chat going
+        }
         this.rl.prompt();
         return;
       }
@@ -251,16 +390,19 @@ export default class UICloneCLI {
     }
   }
 
-  async getApiKey() {
+  async getConfig() {
     try {
       if (await fs.pathExists(this.configPath)) {
-        const config = await fs.readJson(this.configPath);
-        return config.apiKey;
+        return await fs.readJson(this.configPath);
       }
     } catch (error) {
-      // Config file doesn't exist or is corrupted
+      // Config file is corrupted
     }
-    return null;
+    return {};
+  }
+
+  async getApiKey() {
+    return (await this.getConfig()).apiKey || null;
   }
 
   async setupApiKey() {
@@ -285,10 +427,13 @@ export default class UICloneCLI {
     ]);
 
     try {
-      await fs.writeJson(this.configPath, { apiKey: apiKey.trim() });
+      // Keep other settings such as block lists
+      await fs.writeJson(this.configPath, { ...(await this.getConfig()), apiKey: apiKey.trim() });
       console.log(chalk.green("✅ API key saved successfully!"));
     } catch (error) {
       console.log(chalk.red("❌ Failed to save API key:", error.message));
+      // The interactive menu carries on, but the command still fails
+      process.exitCode = 1;
     }
   }
 
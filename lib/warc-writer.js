@@ -0,0 +1,141 @@
+import { open } from "fs/promises";
+import path from "path";
+import { gzipSync } from "zlib";
+import { createHash, randomUUID } from "crypto";
+
+const CRLF = "\r\n";
+
+// Headers that describe the transfer, not the body Chrome handed over:
+// bodies are stored decoded, so these would make replay tools misread them
+const TRANSFER_HEADERS = ["content-encoding", "transfer-encoding", "content-length"];
+
+export class WarcWriter {
+  constructor({ gzip = true } = {}) {
+    // Each record is its own gzip member, as replay tools expect for .warc.gz
+    this.gzip = gzip;
+    this.file = null;
+    this.count = 0;
+  }
+
+  async open(filePath, { software } = {}) {
+    this.file = await open(filePath, "w");
+    const fields = [
+      `software: ${software || "ui-clone-cli"}`,
+      "format: WARC File Format 1.1",
+      "conformsTo: http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/",
+    ].join(CRLF);
+    await this.writeRecord(
+      {
+        "WARC-Type": "warcinfo",
+        "WARC-Filename": path.basename(filePath),
+        "Content-Type": "application/warc-fields",
+      },
+      Buffer.from(fields + CRLF)
+    );
+  }
+
+  /**
+   * Write one request/response pair as linked `request` and `response` records.
+   */
+  async writeExchange(exchange) {
+    const { url, timestamp, remoteAddress } = exchange;
+    const responseId = this.getRecordId();
+    const date = timestamp.toISOString();
+
+    const response = this.getResponseBlock(exchange);
+    await this.writeRecord(
+      {
+        "WARC-Type": "response",
+        "WARC-Record-ID": responseId,
+        "WARC-Date": date,
+        "WARC-Target-URI": url,
+        ...(remoteAddress && { "WARC-IP-Address": remoteAddress }),
+        "Content-Type": "application/http;msgtype=response",
+        "WARC-Payload-Digest": this.getDigest(exchange.body),
+      },
+      response
+    );
+
+    await this.writeRecord(
+      {
+        "WARC-Type": "request",
+        "WARC-Date": date,
+        "WARC-Target-URI": url,
+        "WARC-Concurrent-To": responseId,
+        "Content-Type": "application/http;msgtype=request",
+      },
+      this.getRequestBlock(exchange)
+    );
+  }
+
+  getResponseBlock({ status, statusText, headers, body }) {
+    const lines = [`HTTP/1.1 ${status} ${statusText || ""}`.trimEnd()];
+    for (const [name, value] of Object.entries(headers)) {
+      if (TRANSFER_HEADERS.includes(name.toLowerCase())) continue;
+      // Chrome joins repeated headers (e.g. Set-Cookie) with newlines
+      value.split("\n").forEach((line) => lines.push(`${name}: ${line}`));
+    }
+    lines.push(`Content-Length: ${body.length}`);
+    return Buffer.concat([Buffer.from(lines.join(CRLF) + CRLF + CRLF), body]);
+  }
+
+  getRequestBlock({ url, method, requestHeaders, postData }) {
+    const { host, pathname, search } = new URL(url);
+    const lines = [`${method} ${pathname}${search} HTTP/1.1`];
+
+    // HTTP/2 requests carry the host as a pseudo-header Chrome doesn't report
+    if (!Object.keys(requestHeaders).some((name) => name.toLowerCase() === "host")) {
+      lines.push(`Host: ${host}`);
+    }
+    for (const [name, value] of Object.entries(requestHeaders)) {
+      value.split("\n").forEach((line) => lines.push(`${name}: ${line}`));
+    }
+
+    const body = Buffer.from(postData || "");
+    return Buffer.concat([Buffer.from(lines.join(CRLF) + CRLF + CRLF), body]);
+  }
+
+  async writeRecord(headers, block) {
+    const fields = {
+      "WARC-Record-ID": this.getRecordId(),
+      "WARC-Date": new Date().toISOString(),
+      ...headers,
+      "WARC-Block-Digest": this.getDigest(block),
+      "Content-Length": block.length,
+    };
+    const header = [
+      "WARC/1.1",
+      ...Object.entries(fields).map(([name, value]) => `${name}: ${value}`),
+    ].join(CRLF);
+
+    const record = Buffer.concat([
+      Buffer.from(header + CRLF + CRLF),
+      block,
+      Buffer.from(CRLF + CRLF),
+    ]);
+    await this.file.write(this.gzip ? gzipSync(record) : record);
+    this.count++;
+  }
+
+  async close() {
+    await this.file?.close();
+    this.file = null;
+  }
+
+  getRecordId() {
+    return `<urn:uuid:${randomUUID()}>`;
+  }
+
+  getDigest(data) {
+    // WARC digests are conventionally base32-encoded SHA-1
+    const hash = createHash("sha1").update(data).digest();
+    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+    let bits = "";
+    for (const byte of hash) bits += byte.toString(2).padStart(8, "0");
+    let encoded = "";
+    for (let i = 0; i < bits.length; i += 5) {
+      encoded += alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return `sha1:${encoded}`;
+  }
+}
@@ -1,28 +1,172 @@
-import puppeteer from "puppeteer";
+import puppeteer, { KnownDevices } from "puppeteer";
 import fs from "fs-extra";
 import path from "path";
-import axios from "axios";
+import os from "os";
 import { load } from "cheerio";
 import { lookup, extension } from "mime-types";
 import chalk from "chalk";
 import ora from "ora";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { NetworkRecorder } from "./network-recorder.js";
+import { CSSResolver } from "./css-resolver.js";
+import { sniffMimeType } from "./mime-sniff.js";
+import { Session } from "./session.js";
+import { CoveragePruner } from "./coverage-pruner.js";
+import { SingleFileBuilder } from "./single-file-builder.js";
+import { WarcWriter } from "./warc-writer.js";
+import { HarArchive } from "./har-archive.js";
+import { DownloadQueue } from "./download-queue.js";
+import { CloneCache } from "./clone-cache.js";
+import { FailureReport } from "./failure-report.js";
+import { RequestBlocker } from "./request-blocker.js";
+import { CONSENT_RULES } from "./consent-rules.js";
+import { ComponentExtractor } from "./component-extractor.js";
+import { FrameworkExporter } from "./framework-exporter.js";
+import { TailwindConverter } from "./tailwind-converter.js";
+
+// Formats written from the browser's own capture instead of the folder build
+const ARCHIVE_FORMATS = ["warc", "mhtml"];
 
 export class WebsiteCloner {
   constructor() {
-    this.downloadedAssets = new Set();
+    this.outputDir = null;
     this.assetMap = new Map();
+    this.contentIndex = new Map();
+    this.recorder = null;
+    this.session = new Session();
+    this.pruner = null;
+    this.har = null;
+    this.blocker = new RequestBlocker();
+    this.queue = new DownloadQueue();
+    this.cache = new CloneCache();
+    this.previousCache = null;
+    this.changes = { unchanged: 0, changed: 0, added: 0 };
+    this.assetSources = { browser: 0, network: 0 };
+    this.assetRecords = new Map();
+    this.failures = [];
+    // Page whose assets are being downloaded, for block rules that depend on it
+    this.pageUrl = null;
+    this.cssResolver = new CSSResolver(async (url) => {
+      try {
+        const { data } = await this.fetchAsset(url, null, { type: "stylesheet", pageUrl: this.pageUrl });
+        return data.toString("utf8");
+      } catch (error) {
+        this.recordFailure(url, "stylesheet", error);
+        throw error;
+      }
+    });
   }
 
   async clone(url, options = {}) {
     const {
       outputDir = "./cloned-ui",
       outputType = "html",
+      css = "original",
       aiProcessor,
+      depth = 0,
+      maxPages = 20,
+      scroll = true,
+      scrollStep,
+      scrollLimit = 50,
+      device,
+      viewport,
+      breakpoints = [],
+      session = new Session(),
+      blocker = new RequestBlocker(),
+      flattenShadow = false,
+      removeSelectors = [],
+      clickSelectors = [],
+      consentRules = true,
+      selector,
+      prune = false,
+      pruneJs = false,
+      staticSnapshot = false,
+      format = "folder",
+      inlineLimit = 1024 * 1024,
+      record,
+      fromHar,
+      concurrency,
+      perHost,
+      retries,
+      timeout,
+      onProgress,
+      update = false,
     } = options;
 
+    if (update && format !== "folder") {
+      throw new Error("--update only works with the folder output format");
+    }
+    if (selector && (depth > 0 || format !== "folder")) {
+      throw new Error("--selector clones part of one page and only works with the folder output format");
+    }
+    const framework = outputType !== "html";
+    if (framework && (depth > 0 || update || format !== "folder")) {
+      throw new Error(
+        `--type ${outputType} exports one page as a new project and only works with the folder output format`
+      );
+    }
+    if (css === "tailwind" && ARCHIVE_FORMATS.includes(format)) {
+      throw new Error("--css tailwind rewrites the markup and doesn't work with archive formats");
+    }
+
     console.log(chalk.blue(`🎯 Cloning: ${url}`));
     console.log(chalk.blue(`📁 Output: ${outputDir}`));
     console.log(chalk.blue(`🎨 Type: ${outputType}`));
+    if (css !== "original") {
+      console.log(chalk.blue(`💨 CSS: ${css}`));
+    }
+    if (format !== "folder") {
+      console.log(chalk.blue(`🗂️ Format: ${format}`));
+    }
+    if (depth > 0) {
+      console.log(chalk.blue(`🕸️ Crawl: depth ${depth}, up to ${maxPages} pages`));
+    }
+    if (selector) {
+      console.log(chalk.blue(`🧩 Component: ${selector}`));
+    }
+    if (device) {
+      console.log(chalk.blue(`📱 Device: ${device}`));
+    }
+    if (breakpoints.length > 0) {
+      console.log(chalk.blue(`📐 Breakpoints: ${breakpoints.join(", ")}`));
+    }
+    if (staticSnapshot) {
+      console.log(chalk.blue("🧊 Static snapshot: scripts removed"));
+    }
+    if (fromHar) {
+      console.log(chalk.blue(`📼 Offline replay: ${fromHar}`));
+    }
+
+    // Single-file and framework output are assembled from a folder build in a
+    // scratch directory
+    const buildDir =
+      format === "single-file" || framework
+        ? await fs.mkdtemp(path.join(os.tmpdir(), "ui-clone-"))
+        : outputDir;
+
+    // Every clone gets its own asset store, shared by all pages it captures
+    this.outputDir = buildDir;
+    this.assetMap = new Map();
+    this.contentIndex = new Map();
+    this.recorder = new NetworkRecorder({
+      keepExchanges: format === "warc" || !!record,
+      isFresh: (assetUrl, headers) => this.isFresh(assetUrl, headers),
+    });
+    this.session = session;
+    this.pruner = prune || pruneJs ? new CoveragePruner({ css: prune, js: pruneJs }) : null;
+    this.har = fromHar ? await HarArchive.load(fromHar) : null;
+    this.blocker = blocker;
+    this.queue = new DownloadQueue({ concurrency, perHost, retries, timeout, onProgress });
+    // --update compares against what the previous run left in the output directory
+    this.cache = new CloneCache();
+    this.previousCache = update ? await CloneCache.load(outputDir) : null;
+    this.changes = { unchanged: 0, changed: 0, added: 0 };
+    this.assetSources = { browser: 0, network: 0 };
+    this.assetRecords = new Map();
+    this.failures = [];
+    this.tailwind = css === "tailwind" ? new TailwindConverter() : null;
+    const capturedAt = new Date();
 
     // Ensure output directory exists
     await fs.ensureDir(outputDir);
@@ -34,68 +178,1028 @@ export class WebsiteCloner {
 
     try {
       const page = await browser.newPage();
-      await page.setUserAgent(
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-      );
+      await this.emulate(page, { device, viewport });
 
-      // Navigate to the website
-      console.log(chalk.gray("🌐 Loading website..."));
-      await page.goto(url, {
-        waitUntil: "networkidle2",
-        timeout: 30000,
-      });
+      // During replay every request, login included, is answered from the HAR
+      if (this.har) await this.har.attach(page);
 
-      // Get page content and metadata
-      const [html, pageInfo] = await Promise.all([
-        page.content(),
-        this.extractPageInfo(page, url),
-      ]);
+      // Block lists stop trackers from loading (and firing) during capture
+      await this.blocker.attach(page);
 
-      console.log(chalk.gray("📊 Analyzing page structure..."));
+      // Cookies, headers, storage and an optional login script, applied
+      // before the first page is captured
+      await this.session.applyTo(page, url);
+      await this.session.runLoginScript(page, url);
 
-      // Process with AI for better cleaning and optimization
-      let finalHTML = html;
-      if (aiProcessor && options.useAI !== false) {
-        console.log(chalk.gray("🤖 AI processing..."));
-        try {
-          // Use AI to clean and optimize the HTML structure
-          finalHTML = await aiProcessor.cleanWithAI(html);
-        } catch (error) {
-          console.warn(chalk.yellow(`⚠️ AI processing failed, using original HTML: ${error.message}`));
-          finalHTML = html;
+      // Record what the browser loads so assets can be reused instead of re-fetched
+      this.recorder.attach(page);
+
+      // Coverage spans every page and breakpoint, so pruning only drops
+      // what was unused everywhere
+      if (this.pruner) await this.pruner.start(page);
+
+      // Banners and modals to dismiss on every page before capture
+      const rules = consentRules ? CONSENT_RULES : [];
+      const overlays = {
+        click: [...rules.flatMap((rule) => rule.click), ...clickSelectors],
+        remove: [...rules.flatMap((rule) => rule.remove), ...removeSelectors],
+      };
+
+      // Capture every page first so links can be rewritten against the full set
+      const pages = await this.crawl(page, url, {
+        depth,
+        maxPages,
+        capture: {
+          scroll,
+          scrollStep,
+          scrollLimit,
+          breakpoints,
+          // Framework templates can't hold declarative shadow roots, and
+          // utilities can't reach into them
+          flattenShadow: flattenShadow || framework || !!this.tailwind,
+          overlays,
+          selector,
+          prune,
+          staticSnapshot,
+          mhtml: format === "mhtml",
+        },
+      });
+      // The start page either is captured or throws, but a zero page limit
+      // stops the crawl before it
+      if (pages.length === 0) throw new Error("No pages were captured (--max-pages must be at least 1)");
+
+      if (this.pruner) {
+        await this.pruner.stop(page);
+        for (const captured of pages) {
+          this.pruner.addActiveMediaQueries(captured.activeMediaQueries);
+          captured.breakpoints.forEach((breakpoint) =>
+            this.pruner.addActiveMediaQueries(breakpoint.activeMediaQueries)
+          );
         }
       }
 
-      // Download and consolidate assets from the original HTML
-      console.log(chalk.gray("📥 Downloading assets..."));
-      const assetsResult = await this.downloadAssets(
-        finalHTML, // Process the AI-cleaned HTML for assets
-        url,
-        outputDir
+      // The theme comes from every page, so it is settled before any is written
+      this.tailwind?.buildTheme(pages.map((captured) => captured.styles));
+
+      // Asset downloads outside the browser reuse the browser's session
+      await this.session.syncCookies(page);
+      const pageMap = new Map(
+        pages.map((captured) => [this.getPageKey(captured.url), captured.path])
       );
 
-      // The downloadAssets method now handles consolidation and returns updated HTML
-      finalHTML = assetsResult.html;
+      let assetsCount = 0;
+      const fonts = { captured: 0, failed: new Set() };
+      let mainFile = pages[0].path;
+      const writtenFiles = [];
+      const pageHashes = {};
+      let archivedAssets = null;
+      if (ARCHIVE_FORMATS.includes(format)) {
+        // Archives keep the captured traffic and snapshots as they are
+        const archive = await this.writeArchive(format, pages, outputDir);
+        assetsCount = archive.count;
+        mainFile = archive.mainFile;
+        archivedAssets = archive.assets;
+      } else {
+        for (const captured of pages) {
+          if (pages.length > 1) {
+            console.log(chalk.gray(`📄 Processing ${captured.path}...`));
+          }
+
+          // Swap the page's classes for utilities before anything else
+          // rewrites the markup
+          let sourceHTML = captured.html;
+          if (this.tailwind) {
+            const $ = load(captured.html);
+            this.tailwind.apply($, captured.styles);
+            sourceHTML = $.html();
+          }
 
-      // Generate HTML output
-      const result = await this.generateHTMLOutput(
-        finalHTML,
-        outputDir,
-        pageInfo
-      );
+          // Process with AI for better cleaning and optimization
+          let finalHTML = sourceHTML;
+          if (aiProcessor && options.useAI !== false) {
+            console.log(chalk.gray("🤖 AI processing..."));
+            try {
+              // Use AI to clean and optimize the HTML structure
+              finalHTML = await aiProcessor.cleanWithAI(sourceHTML);
+            } catch (error) {
+              console.warn(chalk.yellow(`⚠️ AI processing failed, using original HTML: ${error.message}`));
+              this.recordFailure(captured.url, "ai", error);
+              finalHTML = sourceHTML;
+            }
+          }
+
+          // Download and consolidate assets from the original HTML
+          console.log(chalk.gray("📥 Downloading assets..."));
+          const assetsResult = await this.downloadAssets(
+            finalHTML, // Process the AI-cleaned HTML for assets
+            captured.url,
+            buildDir,
+            captured.path
+          );
+          assetsCount += assetsResult.count;
+          fonts.captured += assetsResult.fonts.captured;
+          assetsResult.fonts.failed.forEach((fontUrl) => fonts.failed.add(fontUrl));
+
+          // Generate HTML output
+          const output = await this.generateHTMLOutput(
+            assetsResult.html,
+            buildDir,
+            captured.pageInfo,
+            { pagePath: captured.path, pageMap }
+          );
+
+          if (selector && !framework) {
+            writtenFiles.push(await this.writeSnippet(buildDir, captured.path));
+          }
+
+          const pageDir = path.posix.dirname(captured.path);
+          pageHashes[captured.path] = output.hash;
+          writtenFiles.push(
+            captured.path,
+            ...[...assetsResult.assetMap.css, ...assetsResult.assetMap.js].map((file) =>
+              path.posix.join(pageDir, file)
+            )
+          );
+        }
+
+        if (format === "single-file") {
+          const builder = await this.writeSingleFiles(pages, buildDir, outputDir, inlineLimit);
+          // The stored copies went away with the build directory; what is
+          // left is either inside the pages or still online at its URL
+          for (const record of this.assetRecords.values()) {
+            record.storage = builder.storage.get(record.localPath) || "online";
+            record.localPath = null;
+          }
+        } else if (framework) {
+          const exporter = new FrameworkExporter(outputType, { tailwind: this.tailwind });
+          ({ mainFile } = await exporter.export(buildDir, outputDir, { pagePath: mainFile, url }));
+          for (const record of this.assetRecords.values()) {
+            record.localPath = exporter.getOutputPath(record.localPath);
+          }
+        } else {
+          if (this.tailwind) {
+            await fs.writeFile(
+              path.join(outputDir, "tailwind.config.js"),
+              this.tailwind.renderConfig(["./**/*.html"])
+            );
+            writtenFiles.push("tailwind.config.js");
+          }
+          // Create server script
+          await this.createServerScript(outputDir);
+          await this.saveCache(url, outputDir, writtenFiles, pageHashes);
+        }
+
+        console.log(
+          chalk.gray(
+            `📡 ${this.assetSources.browser} assets from browser traffic, ${this.assetSources.network} fetched directly`
+          )
+        );
+        if (this.queue.stats.retries > 0) {
+          console.log(chalk.gray(`🔁 Retried ${this.queue.stats.retries} downloads`));
+        }
+        this.pruner?.report();
+      }
+
+      this.blocker.report();
+      this.har?.reportMisses();
+      if (record) {
+        await HarArchive.save(record, this.recorder.exchanges);
+      }
+
+      const useAI = !!aiProcessor && options.useAI !== false && !ARCHIVE_FORMATS.includes(format);
+      await this.writeManifest(outputDir, archivedAssets, {
+        source: url,
+        capturedAt: capturedAt.toISOString(),
+        format,
+        outputType,
+        css,
+        viewport: page.viewport(),
+        device: device || null,
+        breakpoints,
+        ...(selector && { selector }),
+        ai: useAI ? { provider: aiProcessor.provider, model: aiProcessor.currentModel } : null,
+        pages: pages.map((captured) => ({
+          url: captured.url,
+          path: captured.path,
+          title: captured.pageInfo.title,
+        })),
+      });
 
       return {
         outputPath: outputDir,
         outputType,
-        assetsCount: assetsResult.count,
-        pageInfo,
-        ...result,
+        format,
+        assetsCount,
+        fonts: { captured: fonts.captured, failed: [...fonts.failed] },
+        pageInfo: pages[0].pageInfo,
+        pages: pages.map(({ url, path }) => ({ url, path })),
+        viewport: page.viewport(),
+        breakpoints: pages[0].breakpoints,
+        mainFile,
+        ...(selector && !framework && { component: "component.html" }),
+        manifest: "clone.json",
+        failures: this.failures,
+        ...(update && { changes: this.changes }),
       };
     } finally {
       await browser.close();
+      if (buildDir !== outputDir) await fs.remove(buildDir);
+    }
+  }
+
+  async writeManifest(outputDir, archivedAssets, details) {
+    // clone.json records how the clone was made and where every asset came from
+    const packageJson = await fs.readJson(
+      fileURLToPath(new URL("../package.json", import.meta.url))
+    );
+    const manifest = {
+      tool: { name: packageJson.name, version: packageJson.version },
+      ...details,
+      // Archives hold responses rather than stored files
+      assets: archivedAssets || [...this.assetRecords.values()],
+      failures: this.failures,
+      blocked: [...this.blocker.blocked.values()],
+    };
+    await fs.writeJson(path.join(outputDir, "clone.json"), manifest, { spaces: 2 });
+    console.log(
+      chalk.gray(
+        `🧾 Wrote clone.json (${manifest.assets.length} assets, ${manifest.failures.length} failures)`
+      )
+    );
+  }
+
+  async saveCache(url, outputDir, writtenFiles, pageHashes) {
+    const files = new Set(writtenFiles);
+    Object.values(this.cache.assets).forEach(({ localPath }) => files.add(localPath));
+    this.cache.pages = pageHashes;
+    this.cache.files = [...files];
+
+    const previous = this.previousCache;
+    if (previous) {
+      // Files the previous run wrote that this run no longer references; the
+      // list comes from disk, so nothing outside the output directory counts
+      const orphans = previous.files.filter(
+        (file) => !files.has(file) && this.isInsideDir(outputDir, file)
+      );
+      await Promise.all(orphans.map((file) => fs.remove(path.join(outputDir, file))));
+
+      const pagePaths = Object.keys(pageHashes);
+      const pages = {
+        unchanged: pagePaths.filter((page) => previous.pages[page] === pageHashes[page]).length,
+        changed: pagePaths.filter(
+          (page) => page in previous.pages && previous.pages[page] !== pageHashes[page]
+        ).length,
+        added: pagePaths.filter((page) => !(page in previous.pages)).length,
+        removed: Object.keys(previous.pages).filter((page) => !(page in pageHashes)).length,
+      };
+      const { unchanged, changed, added } = this.changes;
+      const removed = orphans.filter((file) => file.startsWith("assets/")).length;
+      this.changes = { ...this.changes, removed, pages };
+
+      console.log(
+        chalk.gray(
+          `🔄 Assets: ${unchanged} unchanged, ${changed} changed, ${added} new, ${removed} removed`
+        )
+      );
+      console.log(
+        chalk.gray(
+          `🔄 Pages: ${pages.unchanged} unchanged, ${pages.changed} changed, ${pages.added} new, ${pages.removed} removed`
+        )
+      );
+    }
+
+    await this.cache.save(outputDir, url);
+  }
+
+  async writeSnippet(outputDir, pagePath) {
+    // The demo page's body is the component; the snippet is that markup plus
+    // the stylesheet it needs, ready to paste elsewhere
+    const $ = load(await fs.readFile(path.join(outputDir, pagePath), "utf8"));
+    const snippetPath = path.posix.join(path.posix.dirname(pagePath), "component.html");
+    const stylesheets = ["style.css", "tailwind.css"]
+      .filter((file) => $(`link[rel='stylesheet'][href='${file}']`).length > 0)
+      .map((file) => `<link rel="stylesheet" href="${file}">\n`)
+      .join("");
+    await fs.writeFile(path.join(outputDir, snippetPath), stylesheets + $("body").html().trim() + "\n");
+    return snippetPath;
+  }
+
+  async writeArchive(format, pages, outputDir) {
+    if (format === "mhtml") {
+      // One snapshot per page, at the page's mirrored path
+      const files = [];
+      const assets = [];
+      for (const captured of pages) {
+        const file = captured.path.replace(/\.html$/, ".mhtml");
+        await fs.ensureDir(path.dirname(path.join(outputDir, file)));
+        await fs.writeFile(path.join(outputDir, file), captured.mhtml);
+        files.push(file);
+        this.getMHTMLLocations(captured.mhtml)
+          .filter((url) => url !== captured.url)
+          .forEach((url) => assets.push({ url, archive: file }));
+      }
+      console.log(chalk.gray(`🗄️ Wrote ${files.length} MHTML snapshot(s)`));
+      return { count: files.length, mainFile: files[0], assets };
+    }
+
+    const mainFile = "archive.warc.gz";
+    const writer = new WarcWriter();
+    await writer.open(path.join(outputDir, mainFile));
+    try {
+      for (const exchange of this.recorder.exchanges) {
+        await writer.writeExchange(exchange);
+      }
+    } finally {
+      await writer.close();
+    }
+    console.log(
+      chalk.gray(`🗄️ Archived ${this.recorder.exchanges.length} request/response pairs to ${mainFile}`)
+    );
+    const assets = this.recorder.exchanges.map(({ url, method, status, headers, body }) => ({
+      url,
+      archive: mainFile,
+      method,
+      status,
+      contentType: headers["content-type"] || "",
+      size: body.length,
+    }));
+    return { count: this.recorder.exchanges.length, mainFile, assets };
+  }
+
+  getMHTMLLocations(mhtml) {
+    // Every part names the URL it was loaded from; long headers may be folded
+    const locations = [];
+    for (const match of mhtml.matchAll(/^Content-Location:[ \t]*(.*(?:\r?\n[ \t]+.*)*)/gim)) {
+      locations.push(match[1].replace(/\r?\n[ \t]+/g, "").trim());
+    }
+    return [...new Set(locations)];
+  }
+
+  async writeSingleFiles(pages, buildDir, outputDir, inlineLimit) {
+    // Assets over the inline limit point back at the URL they came from
+    const originals = new Map();
+    for (const [url, stored] of this.assetMap) {
+      const localPath = await stored;
+      if (localPath && !originals.has(localPath)) originals.set(localPath, url);
+    }
+
+    const builder = new SingleFileBuilder({ inlineLimit, originals });
+    for (const captured of pages) {
+      const filePath = path.join(outputDir, captured.path);
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, await builder.build(buildDir, captured.path));
+    }
+
+    const { inlined, linked } = builder.stats;
+    console.log(
+      chalk.gray(
+        `🧳 Inlined ${inlined} assets${linked > 0 ? `, ${linked} over ${Math.round(inlineLimit / 1024)} KB left online` : ""}`
+      )
+    );
+    return builder;
+  }
+
+  async crawl(page, startUrl, { depth = 0, maxPages = 20, capture = {} } = {}) {
+    const origin = new URL(startUrl).origin;
+    const queue = [{ url: startUrl, level: 0 }];
+    const seen = new Set([this.getPageKey(startUrl)]);
+    const pages = [];
+
+    while (queue.length > 0 && pages.length < maxPages) {
+      const { url, level } = queue.shift();
+
+      let captured;
+      try {
+        captured = await this.capturePage(page, url, capture);
+      } catch (error) {
+        // The start page is required; linked pages are best effort
+        if (pages.length === 0) throw error;
+        console.warn(chalk.yellow(`⚠️ Failed to capture page: ${url}`));
+        this.recordFailure(url, "page", error);
+        continue;
+      }
+
+      // Redirects can land on a page that was already captured
+      const key = this.getPageKey(captured.url);
+      if (pages.some((existing) => this.getPageKey(existing.url) === key)) {
+        continue;
+      }
+      seen.add(key);
+
+      // /about and /about.html are different pages that mirror to one path
+      let pagePath = this.getPagePath(captured.url);
+      const dir = path.posix.dirname(pagePath);
+      for (let i = 2; pages.some((existing) => existing.path === pagePath); i++) {
+        pagePath = `${dir === "." ? "index" : dir}-${i}/index.html`;
+      }
+      pages.push({ ...captured, path: pagePath });
+
+      if (level >= depth) continue;
+
+      for (const link of captured.links) {
+        if (!this.isCrawlableLink(link, origin)) continue;
+        const linkKey = this.getPageKey(link);
+        if (seen.has(linkKey)) continue;
+        seen.add(linkKey);
+        queue.push({ url: link, level: level + 1 });
+      }
+    }
+
+    return pages;
+  }
+
+  async capturePage(page, url, options = {}) {
+    const {
+      scroll = true,
+      scrollStep,
+      scrollLimit = 50,
+      breakpoints = [],
+      flattenShadow = false,
+      overlays = { click: [], remove: [] },
+      selector,
+      prune = false,
+      staticSnapshot = false,
+      mhtml = false,
+    } = options;
+
+    // Navigate to the website
+    console.log(chalk.gray(`🌐 Loading ${url}...`));
+    await page.goto(url, {
+      waitUntil: "networkidle2",
+      timeout: 30000,
+    });
+
+    // Answer consent banners before anything else loads behind them
+    await this.clickElements(page, overlays.click);
+
+    // Scroll through the page so lazy loaders and infinite scroll fire
+    if (scroll) {
+      console.log(chalk.gray("📜 Scrolling to trigger lazy-loaded content..."));
+      await this.autoScroll(page, { step: scrollStep, limit: scrollLimit });
+      await this.waitForNetworkIdle(page);
+    }
+
+    // Visit each breakpoint so width-specific assets load, then return to
+    // the primary viewport for the snapshot
+    const breakpointResults = [];
+    const mediaQueries =
+      breakpoints.length > 0 || prune ? await this.collectMediaQueries(page) : [];
+    if (breakpoints.length > 0) {
+      const primary = page.viewport();
+      for (const width of breakpoints) {
+        breakpointResults.push(
+          await this.captureBreakpoint(page, { ...primary, width }, mediaQueries, options)
+        );
+      }
+      await page.setViewport(primary);
+      await this.waitForNetworkIdle(page);
+    }
+
+    await this.promoteLazyAssets(page);
+
+    // Media queries matching the primary viewport (used when pruning)
+    const activeMediaQueries = await this.getActiveMediaQueries(page, mediaQueries);
+
+    // Redirects change the base URL that assets and links resolve against
+    const finalUrl = page.url();
+
+    // Finish reading response bodies before the next navigation discards them
+    await this.recorder?.flush();
+
+    // Late popups (newsletter modals, chat widgets) have appeared by now
+    await this.removeElements(page, overlays.remove);
+
+    // Bake live state into the markup and drop everything that needs JS
+    if (staticSnapshot) {
+      await this.freezeState(page);
+    }
+
+    // Chrome's own MHTML snapshot, with every subresource embedded
+    const snapshot = mhtml ? await this.captureMHTML(page) : null;
+
+    // Resolve every element's styles while the page is still live, at each
+    // breakpoint; the elements are tagged so the markup can be matched back
+    const styles = this.tailwind ? await this.tailwind.capture(page, { breakpoints }) : null;
+
+    // Get page content (or just the component), metadata and outgoing links
+    const [html, pageInfo, links] = await Promise.all([
+      selector
+        ? new ComponentExtractor(this.cssResolver).extract(page, selector)
+        : this.serializeDOM(page, { flattenShadow }),
+      this.extractPageInfo(page, finalUrl),
+      page.evaluate(() =>
+        Array.from(document.querySelectorAll("a[href]"), (a) => a.href)
+      ),
+    ]);
+
+    console.log(chalk.gray("📊 Analyzing page structure..."));
+
+    return {
+      url: finalUrl,
+      html,
+      pageInfo,
+      links,
+      breakpoints: breakpointResults,
+      activeMediaQueries,
+      mhtml: snapshot,
+      styles,
+    };
+  }
+
+  async clickElements(page, selectors) {
+    if (selectors.length === 0) return;
+
+    const { clicked, invalid } = await page.evaluate((selectors) => {
+      const result = { clicked: 0, invalid: [] };
+      for (const selector of selectors) {
+        let elements;
+        try {
+          elements = document.querySelectorAll(selector);
+        } catch {
+          result.invalid.push(selector);
+          continue;
+        }
+        for (const el of elements) {
+          // Hidden buttons (e.g. of a banner already dismissed) are left alone
+          if (el.getClientRects().length === 0) continue;
+          el.click();
+          result.clicked++;
+        }
+      }
+      return result;
+    }, selectors);
+
+    invalid.forEach((selector) => console.warn(chalk.yellow(`⚠️ Invalid selector: ${selector}`)));
+    if (clicked > 0) {
+      console.log(chalk.gray(`🖱️ Clicked ${clicked} elements`));
+      await this.waitForNetworkIdle(page);
+    }
+  }
+
+  async removeElements(page, selectors) {
+    if (selectors.length === 0) return;
+
+    const { removed, invalid } = await page.evaluate((selectors) => {
+      const result = { removed: 0, invalid: [] };
+      for (const selector of selectors) {
+        try {
+          for (const el of document.querySelectorAll(selector)) {
+            el.remove();
+            result.removed++;
+          }
+        } catch {
+          result.invalid.push(selector);
+        }
+      }
+
+      // Modals lock scrolling on <html>/<body>; without the modal the page
+      // would be stuck at the top
+      if (result.removed > 0) {
+        for (const el of [document.documentElement, document.body]) {
+          if (!el || getComputedStyle(el).overflowY !== "hidden") continue;
+          el.style.setProperty("overflow-y", "visible", "important");
+        }
+        // Some scroll locks pin the body instead: position: fixed; top: -<scroll>px
+        if (document.body?.style.position === "fixed") {
+          document.body.style.removeProperty("position");
+          document.body.style.removeProperty("top");
+        }
+      }
+      return result;
+    }, selectors);
+
+    invalid.forEach((selector) => console.warn(chalk.yellow(`⚠️ Invalid selector: ${selector}`)));
+    if (removed > 0) {
+      console.log(chalk.gray(`🧹 Removed ${removed} elements`));
+    }
+  }
+
+  async captureMHTML(page) {
+    const client = await page.createCDPSession();
+    try {
+      const { data } = await client.send("Page.captureSnapshot", { format: "mhtml" });
+      return data;
+    } finally {
+      await client.detach();
+    }
+  }
+
+  async serializeDOM(page, { flattenShadow = false } = {}) {
+    // page.content() drops shadow roots, which leaves web components empty.
+    // Serialize open shadow roots as declarative shadow DOM instead, or move
+    // their content into the light DOM when flattening.
+    const html = await page.evaluate((flatten) => {
+      const roots = [];
+      const walk = (root) => {
+        for (const el of root.querySelectorAll("*")) {
+          if (el.shadowRoot) {
+            roots.push(el.shadowRoot);
+            walk(el.shadowRoot);
+          }
+        }
+      };
+      walk(document);
+
+      // Constructed stylesheets never appear in markup; write them out as <style>
+      const sheetText = (sheet) => {
+        try {
+          return Array.from(sheet.cssRules, (rule) => rule.cssText).join("\n");
+        } catch {
+          return "";
+        }
+      };
+      const inlineAdopted = (root, container) => {
+        const css = Array.from(root.adoptedStyleSheets || [], sheetText).join("\n");
+        if (!css) return;
+        const style = document.createElement("style");
+        style.setAttribute("data-ui-clone-adopted", "");
+        style.textContent = css;
+        container.prepend(style);
+      };
+      // The document can adopt sheets without any shadow roots on the page
+      inlineAdopted(document, document.head);
+      if (roots.length === 0) return null;
+      roots.forEach((root) => inlineAdopted(root, root));
+
+      if (flatten) {
+        // Deepest components first, so nested content is already flat
+        for (const root of [...roots].reverse()) {
+          const host = root.host;
+          const tag = host.localName;
+
+          for (const style of root.querySelectorAll("style")) {
+            style.textContent = style.textContent
+              .replace(/:host\(([^)]+)\)/g, `${tag}$1`)
+              .replace(/:host\b/g, tag)
+              .replace(/::slotted\(([^)]+)\)/g, `${tag} $1`);
+          }
+          for (const slot of root.querySelectorAll("slot")) {
+            const assigned = slot.assignedNodes();
+            slot.replaceWith(...(assigned.length > 0 ? assigned : slot.childNodes));
+          }
+
+          // Light children that were never slotted are not rendered either
+          host.replaceChildren(...root.childNodes);
+        }
+        return null;
+      }
+
+      const doctype = document.doctype ? "<!DOCTYPE html>\n" : "";
+      if (typeof document.documentElement.getHTML === "function") {
+        // getHTML() is the inner HTML; <html> keeps lang, dir and theme classes
+        const root = document.documentElement;
+        const attributes = Array.from(
+          root.attributes,
+          ({ name, value }) => ` ${name}="${value.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`
+        ).join("");
+        return `${doctype}<html${attributes}>${root.getHTML({ shadowRoots: roots })}</html>`;
+      }
+
+      // Older browsers: insert the templates by hand, deepest roots first so
+      // each template already contains its nested ones
+      for (const root of [...roots].reverse()) {
+        const template = document.createElement("template");
+        template.setAttribute("shadowrootmode", root.mode);
+        template.innerHTML = root.innerHTML;
+        root.host.prepend(template);
+      }
+      return null;
+    }, flattenShadow);
+
+    return html ?? (await page.content());
+  }
+
+  async emulate(page, { device, viewport } = {}) {
+    if (device) {
+      const descriptor = KnownDevices[device];
+      if (!descriptor) {
+        const matches = Object.keys(KnownDevices)
+          .filter((name) => name.toLowerCase().includes(device.toLowerCase()))
+          .slice(0, 5);
+        throw new Error(
+          `Unknown device "${device}"` +
+            (matches.length > 0 ? `. Did you mean: ${matches.join(", ")}?` : "")
+        );
+      }
+      await page.emulate(descriptor);
+    } else {
+      await page.setUserAgent(
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+      );
+    }
+
+    // An explicit viewport overrides the device's size but keeps its traits
+    if (viewport) {
+      await page.setViewport({ ...(page.viewport() || {}), ...viewport });
     }
   }
 
+  async captureBreakpoint(page, viewport, mediaQueries, options = {}) {
+    const { scroll = true, scrollStep, scrollLimit = 50 } = options;
+    const knownAssets = this.recorder ? this.recorder.size : 0;
+
+    console.log(chalk.gray(`📐 Capturing at ${viewport.width}px...`));
+    await page.setViewport(viewport);
+    await this.waitForNetworkIdle(page);
+    if (scroll) {
+      await this.autoScroll(page, { step: scrollStep, limit: scrollLimit });
+      await this.waitForNetworkIdle(page);
+    }
+    await this.recorder?.flush();
+
+    const activeMediaQueries = await this.getActiveMediaQueries(page, mediaQueries);
+
+    return {
+      width: viewport.width,
+      activeMediaQueries,
+      // Responses recorded at this width are merged into the shared asset store
+      newAssets: this.recorder ? this.recorder.size - knownAssets : 0,
+    };
+  }
+
+  async getActiveMediaQueries(page, mediaQueries) {
+    if (mediaQueries.length === 0) return [];
+    return await page.evaluate(
+      (queries) => queries.filter((query) => window.matchMedia(query).matches),
+      mediaQueries
+    );
+  }
+
+  async collectMediaQueries(page) {
+    // Read stylesheets from recorded traffic as well as the page, since
+    // cross-origin sheets hide their rules from the CSSOM
+    await this.recorder?.flush();
+    const sources = [];
+    for (const entry of this.recorder?.responses.values() || []) {
+      if (entry.resourceType === "stylesheet" && entry.body) sources.push(entry.body.toString("utf8"));
+    }
+    sources.push(
+      ...(await page.evaluate(() => [
+        ...Array.from(document.querySelectorAll("style"), (style) => style.textContent),
+        ...Array.from(
+          document.querySelectorAll("link[rel='stylesheet'][media]"),
+          (link) => `@media ${link.media} {}`
+        ),
+      ]))
+    );
+
+    const queries = new Set();
+    for (const css of sources) {
+      for (const match of css.matchAll(/@media\s+([^{]+)\{/g)) {
+        queries.add(match[1].trim());
+      }
+    }
+    return [...queries];
+  }
+
+  async autoScroll(page, { step, limit = 50 } = {}) {
+    await page.evaluate(
+      async (step, limit) => {
+        const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+        const distance = step || window.innerHeight;
+
+        // Keep going while the page grows (infinite scroll), up to the limit
+        let stalled = 0;
+        for (let i = 0; i < limit && stalled < 3; i++) {
+          const before = document.documentElement.scrollHeight;
+          window.scrollBy(0, distance);
+          await sleep(250);
+
+          const atBottom =
+            window.scrollY + window.innerHeight >= document.documentElement.scrollHeight - 1;
+          const grew = document.documentElement.scrollHeight > before;
+          stalled = atBottom && !grew ? stalled + 1 : 0;
+        }
+
+        window.scrollTo(0, 0);
+        await sleep(250);
+      },
+      step,
+      limit
+    );
+  }
+
+  async waitForNetworkIdle(page) {
+    try {
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 });
+    } catch {
+      // Long-polling and analytics beacons can keep the network busy forever
+    }
+  }
+
+  async promoteLazyAssets(page) {
+    // Copy data-* lazy-load attributes onto the real ones so the captured
+    // markup references the actual images rather than placeholders
+    await page.evaluate(() => {
+      const isPlaceholder = (value) => !value || value.startsWith("data:");
+
+      for (const el of document.querySelectorAll("img, source, iframe, video")) {
+        const src =
+          el.dataset.src || el.dataset.lazySrc || el.dataset.original || el.dataset.lazy;
+        if (src && isPlaceholder(el.getAttribute("src"))) {
+          el.setAttribute("src", src);
+        }
+
+        const srcset = el.dataset.srcset || el.dataset.lazySrcset;
+        if (srcset && isPlaceholder(el.getAttribute("srcset"))) {
+          el.setAttribute("srcset", srcset);
+        }
+
+        if (el.dataset.poster && isPlaceholder(el.getAttribute("poster"))) {
+          el.setAttribute("poster", el.dataset.poster);
+        }
+      }
+
+      // Background images set by lazy loaders (e.g. lazysizes' data-bg)
+      for (const el of document.querySelectorAll("[data-bg], [data-background-image]")) {
+        const bg = el.dataset.bg || el.dataset.backgroundImage;
+        if (bg && !el.style.backgroundImage) {
+          el.style.backgroundImage = bg.startsWith("url(") ? bg : `url("${bg}")`;
+        }
+      }
+    });
+  }
+
+  async freezeState(page) {
+    // Without scripts the clone only has its markup, so copy state that lives
+    // in properties, the CSSOM or animations into attributes and inline styles,
+    // then strip scripts, handlers and framework hydration markers
+    await page.evaluate(() => {
+      const roots = [document];
+      const walk = (root) => {
+        for (const el of root.querySelectorAll("*")) {
+          if (el.shadowRoot) {
+            roots.push(el.shadowRoot);
+            walk(el.shadowRoot);
+          }
+        }
+      };
+      walk(document);
+      const all = (selector) => roots.flatMap((root) => Array.from(root.querySelectorAll(selector)));
+
+      // Script-driven animations (e.g. Framer Motion) keep their current frame;
+      // CSS animations and transitions still run without JS
+      for (const animation of document.getAnimations()) {
+        if (animation instanceof CSSAnimation || animation instanceof CSSTransition) continue;
+        try {
+          animation.commitStyles();
+        } catch {
+          // Targets that are no longer rendered can't take inline styles
+        }
+      }
+
+      // Form state lives in properties, not attributes
+      for (const input of all("input")) {
+        if (input.type === "checkbox" || input.type === "radio") {
+          input.toggleAttribute("checked", input.checked);
+        } else if (input.type !== "password" && input.type !== "file") {
+          input.setAttribute("value", input.value);
+        }
+      }
+      for (const textarea of all("textarea")) {
+        textarea.textContent = textarea.value;
+      }
+      for (const option of all("option")) {
+        option.toggleAttribute("selected", option.selected);
+      }
+
+      // Scrolled containers (carousels, tab strips) keep showing the current
+      // slide by shifting their children instead
+      for (const el of all("*")) {
+        if (el === document.scrollingElement || el === document.body) continue;
+        if (el.scrollLeft === 0 && el.scrollTop === 0) continue;
+        for (const child of el.children) {
+          if (getComputedStyle(child).translate !== "none") continue;
+          child.style.translate = `${-el.scrollLeft}px ${-el.scrollTop}px`;
+        }
+      }
+
+      // Canvas drawings become images
+      for (const canvas of all("canvas")) {
+        try {
+          const img = document.createElement("img");
+          for (const { name, value } of canvas.attributes) {
+            img.setAttribute(name, value);
+          }
+          const { width, height } = canvas.getBoundingClientRect();
+          img.src = canvas.toDataURL();
+          img.style.width = `${width}px`;
+          img.style.height = `${height}px`;
+          canvas.replaceWith(img);
+        } catch {
+          // Canvases tainted by cross-origin images can't be read
+        }
+      }
+
+      // CSS-in-JS libraries insert rules through the CSSOM, leaving their
+      // <style> tags empty in the markup
+      for (const style of all("style")) {
+        if (!style.sheet) continue;
+        try {
+          const parsed = new CSSStyleSheet();
+          parsed.replaceSync(style.textContent);
+          if (style.sheet.cssRules.length > parsed.cssRules.length) {
+            style.textContent = Array.from(style.sheet.cssRules, (rule) => rule.cssText).join("\n");
+          }
+        } catch {
+          // Cross-origin or otherwise unreadable sheets stay as they are
+        }
+      }
+
+      // Scripts, script preloads and framework leftovers
+      all(
+        'script, link[rel="modulepreload"], link[rel="preload"][as="script"], next-route-announcer'
+      ).forEach((el) => el.remove());
+
+      const hydrationAttributes = [
+        "data-reactroot",
+        "data-reactid",
+        "data-server-rendered",
+        "data-v-app",
+        "data-svelte-h",
+        "ng-version",
+        "ng-server-context",
+        "ngh",
+      ];
+      const islandAttributes = [
+        "uid",
+        "component-url",
+        "component-export",
+        "renderer-url",
+        "props",
+        "ssr",
+        "client",
+        "opts",
+        "before-hydration-url",
+        "await-children",
+      ];
+      for (const el of all("*")) {
+        for (const { name } of Array.from(el.attributes)) {
+          // Inline handlers (onclick, onload, ...) are properties of the element
+          if (name.startsWith("on") && name in el) el.removeAttribute(name);
+        }
+        hydrationAttributes.forEach((name) => el.removeAttribute(name));
+        if (el.localName === "astro-island") {
+          islandAttributes.forEach((name) => el.removeAttribute(name));
+        }
+      }
+
+      // Comments are almost all hydration markers (<!--$-->, <!--[-->, ...)
+      for (const root of roots) {
+        const comments = document.createTreeWalker(root, NodeFilter.SHOW_COMMENT);
+        const found = [];
+        while (comments.nextNode()) found.push(comments.currentNode);
+        found.forEach((comment) => comment.remove());
+      }
+    });
+  }
+
+  isCrawlableLink(link, origin) {
+    try {
+      const urlObj = new URL(link);
+      if (!["http:", "https:"].includes(urlObj.protocol)) return false;
+      if (urlObj.origin !== origin) return false;
+
+      // Skip links to downloadable files rather than pages
+      const ext = path.extname(urlObj.pathname).toLowerCase();
+      return !ext || [".html", ".htm", ".php", ".asp", ".aspx"].includes(ext);
+    } catch {
+      return false;
+    }
+  }
+
+  getPageKey(url) {
+    // Pages are identified by origin and path; query strings and hashes are ignored
+    const urlObj = new URL(url);
+    const pathname = urlObj.pathname.replace(/\/index\.html?$/i, "/");
+    return urlObj.origin + (pathname.replace(/\/+$/, "") || "/");
+  }
+
+  getPagePath(url) {
+    // Mirror the URL path on disk: /about and /about.html -> about/index.html.
+    // Every page gets a directory of its own, since its style.css and
+    // script.js sit next to it
+    const segments = decodeURIComponent(new URL(url).pathname)
+      .split("/")
+      .filter(Boolean)
+      .map((segment) => segment.replace(/[^a-zA-Z0-9._-]/g, "_"));
+
+    const last = segments[segments.length - 1] || "";
+    const ext = path.extname(last);
+    if (ext) {
+      const name = last.slice(0, -ext.length);
+      if (name.toLowerCase() === "index") segments.pop();
+      else segments[segments.length - 1] = name;
+    }
+    return [...segments, "index.html"].join("/");
+  }
+
+  getRootPrefix(pagePath = "index.html") {
+    // Relative prefix from a page's directory back to the output root
+    const depth = pagePath.split("/").length - 1;
+    return "../".repeat(depth);
+  }
+
   async extractPageInfo(page, url) {
     return await page.evaluate((baseUrl) => {
       const title = document.title || "Cloned Website";
@@ -123,80 +1227,138 @@ export class WebsiteCloner {
     }, url);
   }
 
-  async downloadAssets(html, baseUrl, outputDir) {
+  async downloadAssets(html, baseUrl, outputDir, pagePath = "index.html") {
     const $ = load(html);
+    this.pageUrl = baseUrl;
     const downloads = [];
     const assetsDir = path.join(outputDir, "assets");
 
+    // Consolidated CSS/JS sit next to the page; images are shared from the root
+    const pageDir = path.join(outputDir, path.dirname(pagePath));
+    const rootPrefix = this.getRootPrefix(pagePath);
+
     // Ensure assets directories exist
     await Promise.all([
       fs.ensureDir(path.join(assetsDir, "css")),
       fs.ensureDir(path.join(assetsDir, "js")),
       fs.ensureDir(path.join(assetsDir, "images")),
+      fs.ensureDir(path.join(assetsDir, "fonts")),
+      fs.ensureDir(pageDir),
     ]);
 
     // Consolidate CSS: Extract and combine all CSS
     let combinedCSS = "";
-    const cssPath = path.join(outputDir, "style.css");
+    const cssPath = path.join(pageDir, "style.css");
 
-    // 1. Extract inline <style> blocks
-    $("style").each((_, el) => {
-      combinedCSS += $(el).html() + "\n";
+    // 1. Extract inline <style> blocks (relative URLs resolve against the page)
+    for (const el of $("style").toArray()) {
+      const source = this.pruner ? this.pruner.pruneCSS($(el).html()) : $(el).html();
+      const css = await this.cssResolver.resolve(source, baseUrl);
+
+      // Styles inside declarative shadow roots only apply there; keep them in place
+      if (this.isInsideTemplate(el)) {
+        $(el).text(css);
+        continue;
+      }
+
+      combinedCSS += this.cssResolver.wrapConditions(css, $(el).attr("media") || "") + "\n";
       $(el).remove();
-    });
+    }
+
+    // Start linked CSS and JS downloads together; the download queue throttles
+    // them, and the loops below still combine files in document order
+    const linkTags = $("link[rel='stylesheet']").toArray();
+    const scriptTags = $("script[src]").toArray();
+    const downloadsByElement = new Map([
+      ...linkTags.map((el) => [el, this.prefetchAsset($(el).attr("href"), baseUrl, "stylesheet")]),
+      // Blocked scripts are dropped without being downloaded
+      ...scriptTags
+        .filter((el) => !this.isBlocked($(el).attr("src"), baseUrl, "script"))
+        .map((el) => [el, this.prefetchAsset($(el).attr("src"), baseUrl, "script")]),
+    ]);
 
     // 2. Download and combine linked CSS
-    const linkTags = $("link[rel='stylesheet']");
-    for (const el of linkTags.toArray()) {
+    for (const el of linkTags) {
       const href = $(el).attr("href");
       if (!href) continue;
       try {
         const absolute = this.resolveUrl(href, baseUrl);
         if (absolute) {
-          const response = await axios.get(absolute, { timeout: 10000 });
-          combinedCSS += response.data + "\n";
+          const { data, contentType } = await downloadsByElement.get(el);
+          this.recordAsset(absolute, this.toOutputPath(cssPath, outputDir), data, contentType);
+          const source = data.toString("utf8");
+          // Relative URLs and @imports resolve against the stylesheet itself
+          const css = await this.cssResolver.resolve(
+            this.pruner ? this.pruner.pruneCSS(source) : source,
+            absolute
+          );
+
+          if (this.isInsideTemplate(el)) {
+            $(el).replaceWith($("<style>").text(css));
+            continue;
+          }
+
+          combinedCSS += this.cssResolver.wrapConditions(css, $(el).attr("media") || "") + "\n";
           $(el).remove();
         }
       } catch (error) {
         console.warn(chalk.yellow(`❌ Failed CSS: ${href}`));
+        this.recordFailure(this.resolveUrl(href, baseUrl) || href, "stylesheet", error);
       }
     }
 
+    // @imports that could not be inlined are only valid at the top
+    combinedCSS = this.cssResolver.hoistImports(combinedCSS);
+
+    // Utilities replace the page's own rules; only fonts and keyframes stay
+    if (this.tailwind) {
+      combinedCSS = this.tailwind.filterStylesheet(combinedCSS);
+    }
+
     // Write combined CSS file
     if (combinedCSS.trim()) {
       await fs.writeFile(cssPath, combinedCSS);
       $("head").append(`<link rel="stylesheet" href="style.css">`);
     }
 
+    // Compiled utilities for the classes this page uses
+    if (this.tailwind) {
+      await fs.writeFile(path.join(pageDir, "tailwind.css"), this.tailwind.renderStylesheet($));
+      $("head").append(`<link rel="stylesheet" href="tailwind.css">`);
+    }
+
     // Consolidate JavaScript: Extract and combine all JS
     let combinedJS = "";
-    const jsPath = path.join(outputDir, "script.js");
+    const jsPath = path.join(pageDir, "script.js");
 
     // 3. Extract inline <script> blocks (non-src scripts)
     $("script").each((_, el) => {
-      if (!$(el).attr("src") && !this.isTrackingScriptContent($(el).html())) {
-        combinedJS += $(el).html() + "\n";
+      if (!$(el).attr("src")) {
+        const source = $(el).html();
+        combinedJS += (this.pruner ? this.pruner.pruneJS(source) : source) + "\n";
         $(el).remove();
       }
     });
 
-    // 4. Download and combine linked JS (excluding tracking scripts)
-    const scriptTags = $("script[src]");
-    for (const el of scriptTags.toArray()) {
+    // 4. Download and combine linked JS (excluding blocked scripts)
+    for (const el of scriptTags) {
       const src = $(el).attr("src");
-      if (!src || this.isTrackingScript(src)) {
+      if (!src || this.isBlocked(src, baseUrl, "script")) {
         $(el).remove();
         continue;
       }
       try {
         const absolute = this.resolveUrl(src, baseUrl);
         if (absolute) {
-          const response = await axios.get(absolute, { timeout: 10000 });
-          combinedJS += response.data + "\n";
+          const { data, contentType } = await downloadsByElement.get(el);
+          this.recordAsset(absolute, this.toOutputPath(jsPath, outputDir), data, contentType);
+          const source = data.toString("utf8");
+          combinedJS += (this.pruner ? this.pruner.pruneJS(source) : source) + "\n";
           $(el).remove();
         }
       } catch (error) {
         console.warn(chalk.yellow(`❌ Failed JS: ${src}`));
+        this.recordFailure(this.resolveUrl(src, baseUrl) || src, "script", error);
       }
     }
 
@@ -206,146 +1368,469 @@ export class WebsiteCloner {
       $("body").append(`<script src="script.js"></script>`);
     }
 
-    // 5. Download images (img + background images)
-    const imageDownloads = [];
+    // 5. Collect images from the page (img, srcset, icons) and web fonts plus
+    // background images from the CSS (url()s were made absolute per stylesheet)
+    const imageAttributes = [
+      { selector: "img[src]", attr: "src" },
+      { selector: "img[srcset]", attr: "srcset", srcset: true },
+      { selector: "picture source[srcset]", attr: "srcset", srcset: true },
+      { selector: "video[poster]", attr: "poster" },
+      {
+        selector:
+          'link[rel="icon"], link[rel="shortcut icon"], link[rel="apple-touch-icon"]',
+        attr: "href",
+      },
+    ];
+    const imageUrls = new Set();
+    const collectImage = (url) => {
+      const absolute = this.resolveUrl(url, baseUrl);
+      if (absolute && /^https?:/i.test(absolute)) imageUrls.add(absolute);
+    };
 
-    $("img").each((_, el) => {
-      const src = $(el).attr("src");
-      if (src) {
-        const fullUrl = this.resolveUrl(src, baseUrl);
-        if (fullUrl) {
-          const fileName = this.getFileName(src, "images");
-          const localPath = fileName;
-          imageDownloads.push(
-            this.downloadAsset(fullUrl, path.join(outputDir, localPath))
-          );
-          $(el).attr("src", localPath);
+    for (const { selector, attr, srcset } of imageAttributes) {
+      $(selector).each((_, el) => {
+        const value = $(el).attr(attr);
+        if (srcset) {
+          this.parseSrcset(value).forEach(({ url }) => collectImage(url));
+        } else if (value) {
+          collectImage(value);
         }
+      });
+    }
+
+    // Shadow root styles left in place by step 1
+    $("style").each((_, el) => {
+      for (const match of $(el).html().matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)) {
+        if (/^https?:/i.test(match[2])) collectImage(match[2]);
       }
     });
 
-    // Handle srcset for responsive images
-    $("img[srcset]").each((_, el) => {
-      const srcset = $(el).attr("srcset");
-      if (srcset) {
-        const urls = srcset.split(",").map((s) => s.trim().split(" ")[0]);
-        for (const url of urls) {
-          const fullUrl = this.resolveUrl(url, baseUrl);
-          if (fullUrl) {
-            const fileName = this.getFileName(url, "images");
-            const localPath = fileName;
-            imageDownloads.push(
-              this.downloadAsset(fullUrl, path.join(outputDir, localPath))
-            );
-            // Update srcset to point to local file
-            const newSrcset = srcset.replace(url, localPath);
-            $(el).attr("srcset", newSrcset);
-          }
-        }
+    // Inline background images, including ones promoted from lazy loaders
+    $("[style*='url(']").each((_, el) => {
+      for (const match of $(el).attr("style").matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)) {
+        if (!match[2].startsWith("data:")) collectImage(match[2]);
       }
     });
 
-    // 6. Download CSS background images
+    let fonts = { captured: 0, failed: [] };
+    let updatedCSS = combinedCSS;
+    const urlRegex = /url\(\s*(['"]?)(.*?)\1\s*\)/g;
+    let fontUrls = new Set();
     if (combinedCSS) {
-      const urlRegex = /url\(["']?(.*?)["']?\)/g;
-      let match;
-      let updatedCSS = combinedCSS;
+      const fontResult = await this.downloadFonts(combinedCSS, rootPrefix, baseUrl);
+      fonts = { captured: fontResult.captured, failed: fontResult.failed };
+      fontUrls = fontResult.fontUrls;
+      updatedCSS = fontResult.css;
+
+      for (const match of updatedCSS.matchAll(urlRegex)) {
+        // Fonts that failed stay online; they are not images
+        if (/^https?:/i.test(match[2]) && !fontUrls.has(match[2])) {
+          imageUrls.add(match[2]);
+        }
+      }
+    }
 
-      while ((match = urlRegex.exec(combinedCSS)) !== null) {
-        const imgUrl = match[1];
-        if (imgUrl.startsWith("data:")) continue;
+    // 6. Download every image once; identical files share one hashed name
+    const imagePaths = await this.downloadAll([...imageUrls], "images", baseUrl);
+    const localize = (url) => {
+      const absolute = this.resolveUrl(url, baseUrl);
+      const localPath = absolute && imagePaths.get(absolute);
+      // Anything that failed keeps working online through its absolute URL
+      return localPath ? rootPrefix + localPath : absolute || url;
+    };
 
-        try {
-          const absolute = this.resolveUrl(imgUrl, baseUrl);
-          if (absolute) {
-            const fileName = this.getFileName(imgUrl, "images");
-            const localPath = fileName;
-            imageDownloads.push(
-              this.downloadAsset(absolute, path.join(outputDir, localPath))
-            );
-            // Update CSS with local path
-            updatedCSS = updatedCSS.replace(imgUrl, localPath);
-          }
-        } catch (error) {
-          console.warn(chalk.yellow(`❌ Failed CSS image: ${imgUrl}`));
+    // 7. Rewrite references to the final local names
+    for (const { selector, attr, srcset } of imageAttributes) {
+      $(selector).each((_, el) => {
+        const value = $(el).attr(attr);
+        if (srcset) {
+          const rewritten = this.parseSrcset(value)
+            .map(({ url, descriptor }) => [localize(url), descriptor].filter(Boolean).join(" "))
+            .join(", ");
+          $(el).attr(attr, rewritten);
+        } else if (value) {
+          $(el).attr(attr, localize(value));
         }
-      }
+      });
+    }
+    $("style").each((_, el) => {
+      const css = $(el)
+        .html()
+        .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/g, (match, quote, url) =>
+          /^https?:/i.test(url) ? `url("${localize(url)}")` : match
+        );
+      $(el).text(css);
+    });
+    $("[style*='url(']").each((_, el) => {
+      const style = $(el)
+        .attr("style")
+        .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/g, (match, quote, url) =>
+          url.startsWith("data:") ? match : `url("${localize(url)}")`
+        );
+      $(el).attr("style", style);
+    });
+
+    if (combinedCSS) {
+      updatedCSS = updatedCSS.replace(urlRegex, (match, quote, imgUrl) => {
+        if (!/^https?:/i.test(imgUrl) || fontUrls.has(imgUrl)) return match;
+        return `url("${localize(imgUrl)}")`;
+      });
 
       if (updatedCSS !== combinedCSS) {
         await fs.writeFile(cssPath, updatedCSS);
       }
     }
 
-    // 7. Download favicon and icons
-    $(
-      'link[rel="icon"], link[rel="shortcut icon"], link[rel="apple-touch-icon"]'
-    ).each((_, el) => {
-      const href = $(el).attr("href");
-      if (href) {
-        const fullUrl = this.resolveUrl(href, baseUrl);
-        if (fullUrl) {
-          const fileName = this.getFileName(href, "images");
-          const localPath = fileName;
-          imageDownloads.push(
-            this.downloadAsset(fullUrl, path.join(outputDir, localPath))
-          );
-          $(el).attr("href", localPath);
-        }
-      }
-    });
-
-    // Execute all image downloads
-    const results = await Promise.allSettled(imageDownloads);
-    const successful = results.filter((r) => r.status === "fulfilled").length;
-
+    const successful = imagePaths.size;
     console.log(
-      chalk.gray(`📦 Downloaded ${successful}/${imageDownloads.length} assets`)
+      chalk.gray(`📦 Downloaded ${successful}/${imageUrls.size} assets`)
     );
+    if (fonts.captured > 0 || fonts.failed.length > 0) {
+      console.log(
+        chalk.gray(
+          `🔤 Captured ${fonts.captured}/${fonts.captured + fonts.failed.length} fonts`
+        )
+      );
+    }
 
     // Return consolidated result
     return {
-      count: successful,
+      count: successful + fonts.captured,
+      fonts,
       html: $.html(),
       assetMap: {
-        css: combinedCSS ? ["style.css"] : [],
+        css: [...(combinedCSS ? ["style.css"] : []), ...(this.tailwind ? ["tailwind.css"] : [])],
         js: combinedJS ? ["script.js"] : [],
         images: successful
       },
     };
   }
 
-  async downloadAsset(url, localPath) {
-    if (this.downloadedAssets.has(url)) return;
+  async downloadFonts(css, rootPrefix, pageUrl) {
+    const fontFaceRegex = /@font-face\s*\{[^}]*\}/gi;
+    const srcRegex =
+      /url\(\s*(['"]?)(.*?)\1\s*\)(\s*format\(\s*['"]?([^'")]+)['"]?\s*\))?/g;
+
+    // Collect every font file listed in an @font-face src
+    const fontUrls = new Map();
+    for (const block of css.match(fontFaceRegex) || []) {
+      for (const match of block.matchAll(srcRegex)) {
+        const url = match[2];
+        if (/^https?:/i.test(url) && !fontUrls.has(url)) {
+          fontUrls.set(url, match[4]);
+        }
+      }
+    }
+
+    const localPaths = new Map();
+    const failed = [];
+    await Promise.all(
+      [...fontUrls].map(async ([url, formatHint]) => {
+        const localPath = await this.downloadAsset(url, "fonts", formatHint, pageUrl);
+        if (localPath) {
+          localPaths.set(url, localPath);
+        } else {
+          failed.push(url);
+        }
+      })
+    );
+
+    // Point captured fonts at their local copies; failures keep the online URL
+    const updated = css.replace(fontFaceRegex, (block) =>
+      block.replace(srcRegex, (match, quote, url) => {
+        const localPath = localPaths.get(url);
+        return localPath
+          ? match.replace(/url\([^)]*\)/, `url("${rootPrefix + localPath}")`)
+          : match;
+      })
+    );
+
+    return {
+      css: updated,
+      fontUrls: new Set(fontUrls.keys()),
+      captured: localPaths.size,
+      failed,
+    };
+  }
+
+  detectMimeType(data, contentType, url) {
+    // Magic bytes first, then a specific Content-Type, then the URL extension
+    const sniffed = sniffMimeType(data);
+    if (sniffed) return sniffed;
+
+    const declared = (contentType || "").split(";")[0].trim().toLowerCase();
+    const genericTypes = ["", "application/octet-stream", "binary/octet-stream", "text/plain"];
+    if (!genericTypes.includes(declared)) return declared;
 
     try {
-      const response = await axios({
-        method: "GET",
-        url: url,
-        responseType: "stream",
-        timeout: 10000,
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-        },
-      });
+      return lookup(new URL(url).pathname) || null;
+    } catch {
+      return null;
+    }
+  }
 
-      await fs.ensureDir(path.dirname(localPath));
+  getAssetType(mimeType, fallbackType) {
+    if (!mimeType) return fallbackType;
+    // SVG fonts are still fonts when an @font-face asked for them
+    if (mimeType === "image/svg+xml" && fallbackType === "fonts") return "fonts";
+    if (mimeType.startsWith("image/")) return "images";
+    if (
+      mimeType.startsWith("font/") ||
+      /^application\/(x-font-|font-|vnd\.ms-fontobject)/.test(mimeType)
+    ) {
+      return "fonts";
+    }
+    return fallbackType;
+  }
 
-      const writer = fs.createWriteStream(localPath);
-      response.data.pipe(writer);
+  prefetchAsset(href, baseUrl, type) {
+    const absolute = href && this.resolveUrl(href, baseUrl);
+    if (!absolute) return null;
 
-      return new Promise((resolve, reject) => {
-        writer.on("finish", () => {
-          this.downloadedAssets.add(url);
-          resolve();
-        });
-        writer.on("error", reject);
+    const download = this.fetchAsset(absolute, null, { type, pageUrl: baseUrl });
+    // Failures are reported where the download is awaited
+    download.catch(() => {});
+    return download;
+  }
+
+  async downloadAll(urls, type, pageUrl) {
+    const localPaths = new Map();
+    await Promise.all(
+      urls.map(async (url) => {
+        const localPath = await this.downloadAsset(url, type, undefined, pageUrl);
+        if (localPath) localPaths.set(url, localPath);
+      })
+    );
+    return localPaths;
+  }
+
+  /**
+   * Download an asset into assets/<type>/ and resolve to its path relative to
+   * the output root, or null on failure. Names carry a short content hash, so
+   * different files never overwrite each other and identical bodies are
+   * stored once no matter how many URLs point at them.
+   */
+  downloadAsset(url, type, formatHint, pageUrl) {
+    // Concurrent requests for the same URL share one download
+    if (!this.assetMap.has(url)) {
+      this.assetMap.set(url, this.storeAsset(url, type, formatHint, pageUrl));
+    }
+    return this.assetMap.get(url);
+  }
+
+  async storeAsset(url, type, formatHint, pageUrl) {
+    // Blocked beacons keep their original URL rather than counting as failures
+    const resourceType = type === "fonts" ? "font" : "image";
+    if (this.blocker.match(url, { type: resourceType, pageUrl })) {
+      return null;
+    }
+
+    try {
+      const previous = await this.getPreviousAsset(url);
+      const { data, contentType, headers, notModified } = await this.fetchAsset(url, previous, {
+        type: resourceType,
+        pageUrl,
       });
+
+      // 304: the copy from the previous run is still current
+      if (notModified) {
+        this.contentIndex.set(previous.hash, previous.localPath);
+        this.cache.setAsset(url, previous.localPath, previous.hash, {
+          etag: previous.etag,
+          "last-modified": previous.lastModified,
+          ...headers,
+        });
+        this.changes.unchanged++;
+        const { size } = await fs.stat(path.join(this.outputDir, previous.localPath));
+        this.assetRecords.set(url, {
+          url,
+          localPath: previous.localPath,
+          size,
+          contentType: lookup(previous.localPath) || "",
+          hash: previous.hash,
+        });
+        return previous.localPath;
+      }
+
+      const hash = createHash("sha256").update(data).digest("hex");
+      // What the bytes are decides the extension and folder, not the URL
+      const mimeType = this.detectMimeType(data, contentType, url);
+      if (previous) {
+        this.changes[previous.hash === hash ? "unchanged" : "changed"]++;
+      } else {
+        this.changes.added++;
+      }
+
+      const existing = this.contentIndex.get(hash);
+      if (existing) {
+        this.cache.setAsset(url, existing, hash, headers);
+        this.recordAsset(url, existing, data, mimeType, hash);
+        return existing;
+      }
+
+      const assetType = this.getAssetType(mimeType, type);
+      const fileName = this.getFileName(url, assetType, formatHint);
+      const fileExt = path.extname(fileName);
+      const ext = (mimeType && extension(mimeType) && `.${extension(mimeType)}`) || fileExt;
+      const localPath = path.posix.join(
+        "assets",
+        assetType,
+        `${path.basename(fileName, fileExt)}-${hash.slice(0, 8)}${ext}`
+      );
+
+      this.contentIndex.set(hash, localPath);
+      this.cache.setAsset(url, localPath, hash, headers);
+      this.recordAsset(url, localPath, data, mimeType, hash);
+      // Hashed names mean an unchanged asset is already on disk as-is
+      if (previous?.localPath !== localPath) {
+        await fs.outputFile(path.join(this.outputDir, localPath), data);
+      }
+      return localPath;
     } catch (error) {
       console.warn(chalk.yellow(`⚠️ Failed to download: ${url}`));
+      this.recordFailure(url, type === "fonts" ? "font" : "image", error);
+      return null;
     }
   }
 
+  recordAsset(url, localPath, data, contentType, hash) {
+    this.assetRecords.set(url, {
+      url,
+      localPath,
+      size: data.length,
+      contentType: contentType || "",
+      hash: hash || createHash("sha256").update(data).digest("hex"),
+    });
+  }
+
+  recordFailure(url, kind, error) {
+    this.failures.push({
+      url,
+      kind,
+      cause: FailureReport.classify(error),
+      reason: error.response ? `HTTP ${error.response.status}` : error.message,
+      status: error.response?.status ?? null,
+      code: error.code ?? null,
+    });
+  }
+
+  toOutputPath(file, outputDir) {
+    return path.relative(outputDir, file).split(path.sep).join("/");
+  }
+
+  async getPreviousAsset(url) {
+    // Only entries whose file survived since the last run can be reused
+    const previous = this.previousCache?.assets[url];
+    if (
+      !previous ||
+      !this.isInsideDir(this.outputDir, previous.localPath) ||
+      !(await fs.pathExists(path.join(this.outputDir, previous.localPath)))
+    ) {
+      return null;
+    }
+    return previous;
+  }
+
+  isFresh(url, headers = {}) {
+    // Same validators as the copy the previous run stored
+    const previous = this.previousCache?.assets[url];
+    if (!previous) return false;
+    if (previous.etag && headers.etag) return previous.etag === headers.etag;
+    return !!previous.lastModified && previous.lastModified === headers["last-modified"];
+  }
+
+  isInsideDir(dir, file) {
+    if (typeof file !== "string" || !file) return false;
+    const relative = path.relative(path.resolve(dir), path.resolve(dir, file));
+    return !!relative && relative.split(path.sep)[0] !== ".." && !path.isAbsolute(relative);
+  }
+
+  async fetchAsset(url, previous = null, { type = "other", pageUrl } = {}) {
+    // Prefer the body the browser already received: it carries the page's
+    // cookies, referer and any runtime-generated URLs
+    const recorded = this.recorder?.get(url);
+    // --update: the browser got the same version the previous run stored.
+    // The recorder kept no body for it, so without that file it is fetched
+    if (recorded?.notModified && previous) {
+      this.assetSources.browser++;
+      return { notModified: true, headers: recorded.headers };
+    }
+    if (recorded && !recorded.notModified) {
+      this.assetSources.browser++;
+      return { data: recorded.body, contentType: recorded.contentType, headers: recorded.headers };
+    }
+
+    // Typed and $third-party rules need to know what is loading, and for which page
+    const rule = this.blocker.match(url, { type, pageUrl });
+    if (rule) {
+      throw Object.assign(new Error(`Blocked by ${rule.raw}`), { code: "ERR_BLOCKED_BY_CLIENT" });
+    }
+
+    // Offline replay: the HAR is the whole network
+    if (this.har) {
+      const replayed = this.har.get(url);
+      if (!replayed || replayed.status < 200 || replayed.status >= 300) {
+        throw new Error(`Not recorded in HAR: ${url}`);
+      }
+      this.assetSources.browser++;
+      return { data: replayed.body, contentType: replayed.contentType, headers: replayed.headers };
+    }
+
+    // Fall back to a direct request for resources the page never loaded
+    const requestHeaders = {
+      "User-Agent":
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+      ...this.session.headersFor(url),
+    };
+    // Revalidate what the previous run stored instead of downloading it again
+    const conditionalHeaders = {
+      ...(previous?.etag && { "If-None-Match": previous.etag }),
+      ...(previous?.lastModified && { "If-Modified-Since": previous.lastModified }),
+    };
+    const timestamp = new Date();
+    const response = await this.queue.fetch(url, {
+      headers: { ...requestHeaders, ...conditionalHeaders },
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+    });
+    this.assetSources.network++;
+    if (response.status === 304) {
+      return { notModified: true, headers: response.headers.toJSON() };
+    }
+    this.recorder?.addExchange({
+      url,
+      method: "GET",
+      requestHeaders,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers.toJSON(),
+      body: Buffer.from(response.data),
+      timestamp,
+    });
+    return {
+      data: Buffer.from(response.data),
+      contentType: response.headers["content-type"] || "",
+      headers: response.headers.toJSON(),
+    };
+  }
+
+  isInsideTemplate(el) {
+    // Cheerio keeps <template> content under a separate root node whose
+    // parent is the template element
+    for (let node = el.parent; node; node = node.parent) {
+      if (node.type === "root" && node.parent?.name === "template") return true;
+    }
+    return false;
+  }
+
+  parseSrcset(srcset = "") {
+    // "a.png 1x, b.png 2x" -> [{ url: "a.png", descriptor: "1x" }, ...]
+    return srcset
+      .split(/(?<=\s[\d.]+[wxh])\s*,\s*|,\s+/)
+      .map((candidate) => candidate.trim().split(/\s+/))
+      .filter(([url]) => url)
+      .map(([url, ...descriptor]) => ({ url, descriptor: descriptor.join(" ") }));
+  }
+
   resolveUrl(url, baseUrl) {
     try {
       return new URL(url, baseUrl).href;
@@ -354,7 +1839,7 @@ export class WebsiteCloner {
     }
   }
 
-  getFileName(url, type) {
+  getFileName(url, type, formatHint) {
     try {
       const urlObj = new URL(url);
       let fileName = path.basename(urlObj.pathname);
@@ -362,7 +1847,8 @@ export class WebsiteCloner {
       // Handle empty or root paths
       if (!fileName || fileName === "/" || fileName === "") {
         // Use a simple naming convention like in your example
-        fileName = type === "css" ? "style" : type === "js" ? "script" : "image";
+        fileName =
+          type === "css" ? "style" : type === "js" ? "script" : type === "fonts" ? "font" : "image";
       }
 
       // Clean up the filename and ensure it has an extension
@@ -373,13 +1859,15 @@ export class WebsiteCloner {
         fileName += ext;
       }
 
-      // For images, keep original extension if valid
-      if (type === "images") {
-        const originalExt = path.extname(fileName);
-        const validImageExts = ['.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.ico'];
-        if (!validImageExts.includes(originalExt.toLowerCase())) {
-          fileName = fileName.replace(/\.[^.]*$/, '.png'); // Default to .png
+      // For fonts, trust a known extension, then the @font-face format() hint
+      if (type === "fonts") {
+        const originalExt = path.extname(urlObj.pathname).toLowerCase();
+        const validFontExts = [".woff2", ".woff", ".ttf", ".otf", ".eot", ".svg"];
+        if (!validFontExts.includes(originalExt)) {
+          const ext = this.getFontExtension(formatHint);
+          fileName = fileName.replace(/\.[^.]*$/, "") + ext;
         }
+        return fileName;
       }
 
       return fileName;
@@ -388,60 +1876,64 @@ export class WebsiteCloner {
       const timestamp = Date.now();
       if (type === "css") return "style.css";
       if (type === "js") return "script.js";
+      if (type === "fonts") return `font_${timestamp}${this.getFontExtension(formatHint)}`;
       return `image_${timestamp}.png`;
     }
   }
 
-  isTrackingScript(src) {
-    const trackingPatterns = [
-      "google-analytics",
-      "gtag",
-      "googletagmanager",
-      "facebook.net",
-      "twitter.com",
-      "linkedin.com",
-      "hotjar",
-      "mixpanel",
-      "segment.com",
-    ];
-    return trackingPatterns.some((pattern) => src.includes(pattern));
+  getFontExtension(formatHint = "") {
+    const formats = {
+      woff2: ".woff2",
+      woff: ".woff",
+      truetype: ".ttf",
+      opentype: ".otf",
+      "embedded-opentype": ".eot",
+      svg: ".svg",
+    };
+    return formats[formatHint.toLowerCase()] || ".woff2";
   }
 
-  async generateHTMLOutput(html, outputDir, pageInfo) {
-    // Clean up and optimize HTML
-    const $ = load(html);
-
-    // Remove tracking scripts and unnecessary elements
-    $("script").each((i, elem) => {
-      const src = $(elem).attr("src");
-      const content = $(elem).html();
+  isBlocked(url, baseUrl, type) {
+    const absolute = this.resolveUrl(url, baseUrl);
+    return !!absolute && !!this.blocker.match(absolute, { type, pageUrl: baseUrl });
+  }
 
-      // Remove tracking scripts
-      if (src && this.isTrackingScript(src)) {
-        $(elem).remove();
-        return;
-      }
+  async generateHTMLOutput(html, outputDir, pageInfo, options = {}) {
+    const { pagePath = "index.html", pageMap = new Map() } = options;
 
-      // Remove inline tracking scripts
-      if (content && this.isTrackingScriptContent(content)) {
-        $(elem).remove();
-      }
-    });
+    // Clean up and optimize HTML
+    const $ = load(html);
 
-    // Remove noscript tags and other unnecessary elements
+    // Remove noscript tags and frames the block lists would not load
     $("noscript").remove();
     $("iframe").each((i, elem) => {
       const src = $(elem).attr("src");
-      if (src && this.isTrackingScript(src)) {
+      if (src && this.isBlocked(src, pageInfo.baseUrl, "subdocument")) {
         $(elem).remove();
       }
     });
 
-    // Fix relative URLs to absolute for external links
+    // Point links at cloned pages locally; other site links go back online
+    const pageDir = path.posix.dirname(pagePath);
     $("a").each((i, elem) => {
       const href = $(elem).attr("href");
-      if (href && href.startsWith("/") && !href.startsWith("//")) {
-        $(elem).attr("href", new URL(href, pageInfo.baseUrl).href);
+      if (!href || href.startsWith("#")) return;
+
+      // Leave mailto:, tel:, javascript: and similar links untouched
+      if (/^[a-z][a-z0-9+.-]*:/i.test(href) && !/^https?:/i.test(href)) return;
+
+      const absolute = this.resolveUrl(href, pageInfo.baseUrl);
+      if (!absolute) return;
+
+      const targetPath = pageMap.get(this.getPageKey(absolute));
+      if (targetPath) {
+        const { hash } = new URL(absolute);
+        $(elem).attr("href", path.posix.relative(pageDir, targetPath) + hash);
+        return;
+      }
+
+      if (!href.startsWith("//") && !/^https?:/i.test(href)) {
+        $(elem).attr("href", absolute);
         $(elem).attr("target", "_blank"); // Open external links in new tab
       }
     });
@@ -486,37 +1978,19 @@ export class WebsiteCloner {
       </style>
     `;
 
-    // Only add enhancement styles if they don't conflict
-    if (!$("style:contains('scroll-behavior')").length) {
+    // Only add enhancement styles if they don't conflict; Tailwind output
+    // already spells out every computed style and they would outrank it
+    if (!this.tailwind && !$("style:contains('scroll-behavior')").length) {
       $("head").append(enhancementStyles);
     }
 
-    // Save main HTML file
-    await fs.writeFile(path.join(outputDir, "index.html"), $.html());
-
-    // Create server script
-    await this.createServerScript(outputDir);
+    // Save the page at its mirrored path
+    const filePath = path.join(outputDir, pagePath);
+    await fs.ensureDir(path.dirname(filePath));
+    const output = $.html();
+    await fs.writeFile(filePath, output);
 
-    return { mainFile: "index.html" };
-  }
-
-  isTrackingScriptContent(content) {
-    const trackingPatterns = [
-      "gtag",
-      "ga(",
-      "GoogleAnalytics",
-      "google-analytics",
-      "fbq(",
-      "facebook",
-      "_gaq",
-      "gtm",
-      "dataLayer",
-      "mixpanel",
-      "hotjar",
-      "segment",
-      "_hj",
-    ];
-    return trackingPatterns.some((pattern) => content.includes(pattern));
+    return { mainFile: pagePath, hash: createHash("sha256").update(output).digest("hex") };
   }
 
   async createServerScript(outputDir) {
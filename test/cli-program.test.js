@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createProgram } from "../lib/cli-program.js";
+
+// Runs the command line against a stub that records what each action got
+async function run(...args) {
+  const calls = [];
+  const cli = {
+    cloneWebsite: async (url, options) => {
+      calls.push({ method: "cloneWebsite", url, options });
+      return { passed: true };
+    },
+    startInteractive: async () => calls.push({ method: "startInteractive" }),
+  };
+  await createProgram({ createCLI: () => cli }).parseAsync(args, { from: "user" });
+  return calls;
+}
+
+test("clone subcommand receives its own options", async () => {
+  const [call] = await run(
+    "clone", "http://x/", "-o", "/tmp/out", "--no-ai", "-d", "2", "--strict",
+    "--device", "iPhone 14", "--viewport", "390x844", "-H", "Authorization: Bearer t",
+    "--block", "||ads.example^", "--format", "single-file", "--max-failures", "3"
+  );
+  assert.equal(call.method, "cloneWebsite");
+  assert.equal(call.url, "http://x/");
+  assert.equal(call.options.output, "/tmp/out");
+  assert.equal(call.options.ai, false);
+  assert.equal(call.options.depth, 2);
+  assert.equal(call.options.strict, true);
+  assert.equal(call.options.device, "iPhone 14");
+  assert.deepEqual(call.options.viewport, { width: 390, height: 844 });
+  assert.deepEqual(call.options.header, ["Authorization: Bearer t"]);
+  assert.deepEqual(call.options.block, ["||ads.example^"]);
+  assert.equal(call.options.format, "single-file");
+  assert.equal(call.options.maxFailures, 3);
+});
+
+test("clone subcommand keeps defaults when options are left out", async () => {
+  const [call] = await run("clone", "http://x/");
+  assert.equal(call.options.output, "./cloned-ui");
+  assert.equal(call.options.ai, true);
+  assert.equal(call.options.depth, 0);
+  assert.equal(call.options.type, "html");
+  assert.equal(call.options.strict, undefined);
+});
+
+test("default command still takes options after the url", async () => {
+  const [call] = await run("http://x/", "-o", "/tmp/out", "--depth", "1", "--type", "vue");
+  assert.equal(call.method, "cloneWebsite");
+  assert.equal(call.options.output, "/tmp/out");
+  assert.equal(call.options.depth, 1);
+  assert.equal(call.options.type, "vue");
+});
+
+test("default command without a url starts interactive mode", async () => {
+  const [call] = await run();
+  assert.equal(call.method, "startInteractive");
+});
+
+test("verify subcommand receives its own options", async () => {
+  const calls = [];
+  const cli = {
+    verifyClone: async (url, options) => {
+      calls.push({ url, options });
+      return { passed: true };
+    },
+  };
+  await createProgram({ createCLI: () => cli }).parseAsync(
+    ["verify", "http://x/", "-o", "/tmp/site", "--device", "Pixel 7", "--viewport", "390x844", "--threshold", "90"],
+    { from: "user" }
+  );
+  const [{ url, options }] = calls;
+  assert.equal(url, "http://x/");
+  assert.equal(options.output, "/tmp/site");
+  assert.equal(options.device, "Pixel 7");
+  assert.deepEqual(options.viewport, { width: 390, height: 844 });
+  assert.equal(options.threshold, 90);
+  assert.equal(options.page, "index.html");
+});
+
+test("--max-pages must be at least 1", async () => {
+  const program = createProgram({ createCLI: () => ({ cloneWebsite: async () => ({ passed: true }) }) });
+  for (const command of [program, ...program.commands]) {
+    command.exitOverride().configureOutput({ writeErr: () => {} });
+  }
+  await assert.rejects(program.parseAsync(["clone", "http://x/", "--max-pages", "0"], { from: "user" }), {
+    code: "commander.invalidArgument",
+  });
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CoveragePruner } from "../lib/coverage-pruner.js";
+
+// Records which coverage was started, like page.coverage would
+function fakePage(jsFunctions = []) {
+  const started = [];
+  return {
+    started,
+    coverage: {
+      startCSSCoverage: async () => started.push("css"),
+      startJSCoverage: async () => started.push("js"),
+      stopCSSCoverage: async () => [],
+      stopJSCoverage: async () => jsFunctions,
+    },
+  };
+}
+
+const script = "function onClick() { openMenu(); }\nfunction init() { return 1; }\ninit();\n";
+const onClick = script.indexOf("function onClick");
+const init = script.indexOf("function init");
+const coverage = [
+  {
+    text: script,
+    rawScriptCoverage: {
+      functions: [
+        { ranges: [{ startOffset: 0, endOffset: script.length, count: 1 }] },
+        { ranges: [{ startOffset: onClick, endOffset: script.indexOf("\n"), count: 0 }] },
+        { ranges: [{ startOffset: init, endOffset: script.indexOf("\n", init), count: 1 }] },
+      ],
+    },
+  },
+];
+
+test("--prune leaves JS alone by default", async () => {
+  const page = fakePage(coverage);
+  const pruner = new CoveragePruner();
+  await pruner.start(page);
+  await pruner.stop(page);
+  assert.deepEqual(page.started, ["css"]);
+  assert.equal(pruner.pruneJS(script), script);
+});
+
+test("--prune-js empties functions that never ran", async () => {
+  const page = fakePage(coverage);
+  const pruner = new CoveragePruner({ css: false, js: true });
+  await pruner.start(page);
+  await pruner.stop(page);
+  assert.deepEqual(page.started, ["js"]);
+  assert.equal(pruner.pruneJS(script), "function onClick() {}\nfunction init() { return 1; }\ninit();\n");
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WebsiteCloner } from "../lib/website-cloner.js";
+
+// Captures without a browser: each URL links to the pages listed for it
+function crawler(links) {
+  const cloner = new WebsiteCloner();
+  cloner.capturePage = async (page, url) => ({ url, links: links[url] || [] });
+  return cloner;
+}
+
+test("pages that share a URL directory get a directory each", async () => {
+  const cloner = crawler({
+    "https://example.com/": ["https://example.com/about.html", "https://example.com/docs/"],
+    "https://example.com/docs/": ["https://example.com/docs/setup.html", "https://example.com/docs/index.html"],
+  });
+  const pages = await cloner.crawl(null, "https://example.com/", { depth: 2 });
+
+  assert.deepEqual(
+    pages.map((captured) => captured.path),
+    ["index.html", "about/index.html", "docs/index.html", "docs/setup/index.html"]
+  );
+});
+
+test("pages that mirror to the same path don't overwrite each other", async () => {
+  const cloner = crawler({
+    "https://example.com/": ["https://example.com/about", "https://example.com/about.html"],
+  });
+  const pages = await cloner.crawl(null, "https://example.com/", { depth: 1 });
+
+  assert.deepEqual(
+    pages.map((captured) => captured.path),
+    ["index.html", "about/index.html", "about-2/index.html"]
+  );
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CSSResolver } from "../lib/css-resolver.js";
+
+const resolver = new CSSResolver(async () => "");
+
+test("hoistImports moves top-level imports above the rules", () => {
+  const css = 'body { color: red; }\n@import url("https://a.test/x.css") print;\n';
+  assert.equal(
+    resolver.hoistImports(css),
+    '@import url("https://a.test/x.css") print;\nbody { color: red; }\n'
+  );
+});
+
+test("hoistImports carries the wrapping media, supports and layer conditions", () => {
+  const css = resolver.wrapConditions(
+    '@import url("https://a.test/x.css");\n.a { color: red; }',
+    "layer(base) supports(display: grid) screen and (min-width: 600px)"
+  );
+  const hoisted = resolver.hoistImports(css);
+  assert.ok(
+    hoisted.startsWith(
+      '@import url("https://a.test/x.css") layer(base) supports(display: grid) screen and (min-width: 600px);\n'
+    )
+  );
+  assert.equal(hoisted.match(/@import/g).length, 1);
+  assert.match(hoisted, /@media screen and \(min-width: 600px\) \{\s*\.a \{ color: red; \}\s*\}/);
+
+  const nested = resolver.hoistImports(
+    '@media screen { @media (min-width: 600px) { @import "x.css" (orientation: landscape); } }'
+  );
+  assert.ok(
+    nested.startsWith('@import url("x.css") screen and (min-width: 600px) and (orientation: landscape);\n')
+  );
+});
+
+test("hoistImports leaves imports whose condition can't be merged in place", () => {
+  const css = '@media screen, print { @import url("x.css") (min-width: 600px); }';
+  assert.equal(resolver.hoistImports(css), css);
+});
+
+test("hoistImports ignores @import inside comments and strings", () => {
+  const css = '/* @import url("x.css"); */\n.a::before { content: "@import url(y.css);"; }\n';
+  assert.equal(resolver.hoistImports(css), css);
+});
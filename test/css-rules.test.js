@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseRules, splitTopLevel, stripComments } from "../lib/css-rules.js";
+
+const texts = (css, rules) => rules.map((rule) => css.slice(rule.start, rule.end).trim());
+
+test("splitTopLevel ignores separators in strings, parentheses and brackets", () => {
+  assert.deepEqual(splitTopLevel("a, b:is(.c, .d), [data-x='1,2'], e", ","), [
+    "a",
+    "b:is(.c, .d)",
+    "[data-x='1,2']",
+    "e",
+  ]);
+  assert.deepEqual(
+    splitTopLevel("color: red; background: url(data:image/png;base64,AAA=); content: ';'", ";"),
+    ["color: red", "background: url(data:image/png;base64,AAA=)", "content: ';'"]
+  );
+  assert.deepEqual(splitTopLevel("a /* , */, b", ","), ["a /* , */", "b"]);
+  assert.deepEqual(splitTopLevel(" , ", ","), []);
+});
+
+test("parseRules splits blocks and statements", () => {
+  const css = `@charset "utf-8";@import url("a.css");
+a { color: red; }
+@media (min-width: 768px) { .b { margin: 0; } .c { padding: 0; } }`;
+  const rules = parseRules(css);
+
+  assert.deepEqual(texts(css, rules), [
+    '@charset "utf-8";',
+    '@import url("a.css");',
+    "a { color: red; }",
+    "@media (min-width: 768px) { .b { margin: 0; } .c { padding: 0; } }",
+  ]);
+  assert.deepEqual(rules.map((rule) => rule.blockStart === -1), [true, true, false, false]);
+  assert.equal(rules[3].prelude.trim(), "@media (min-width: 768px)");
+
+  // Offsets index into the original text, so nested blocks parse in place
+  const media = rules[3];
+  const inner = parseRules(css, media.blockStart + 1, media.blockEnd);
+  assert.deepEqual(texts(css, inner).filter(Boolean), [".b { margin: 0; }", ".c { padding: 0; }"]);
+});
+
+test("parseRules skips braces in comments and strings", () => {
+  const css = `/* } */ a::before { content: "}"; } b { background: url('{x}.png'); }`;
+  const rules = parseRules(css);
+
+  assert.deepEqual(texts(css, rules), [
+    `/* } */ a::before { content: "}"; }`,
+    "b { background: url('{x}.png'); }",
+  ]);
+});
+
+test("parseRules keeps an unterminated tail as a statement", () => {
+  const css = "a { color: red; } b { color: blue";
+  const rules = parseRules(css);
+
+  assert.equal(rules.length, 2);
+  assert.equal(rules[1].blockStart, -1);
+  assert.equal(css.slice(rules[1].start, rules[1].end), " b { color: blue");
+});
+
+test("stripComments", () => {
+  assert.equal(stripComments("a /* x */ { b: c /* y\n z */ }"), "a  { b: c  }");
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { DownloadQueue } from "../lib/download-queue.js";
+
+// A local server whose handler decides each response
+async function serve(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return { server, port, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+test("reads Retry-After as seconds or an HTTP date, capped at maxDelay", () => {
+  const queue = new DownloadQueue({ maxDelay: 30000 });
+  assert.equal(queue.getRetryDelay({ headers: { "retry-after": "2" } }, 0), 2000);
+  assert.equal(queue.getRetryDelay({ headers: { "retry-after": "600" } }, 0), 30000);
+
+  const date = new Date(Date.now() + 5000).toUTCString();
+  const delay = queue.getRetryDelay({ headers: { "retry-after": date } }, 0);
+  assert.ok(delay > 3000 && delay <= 5000, `got ${delay}`);
+
+  // Backoff doubles per attempt, with up to 50% jitter
+  const backoff = queue.getRetryDelay(undefined, 2);
+  assert.ok(backoff >= 2000 && backoff <= 3000, `got ${backoff}`);
+});
+
+test("waits out Retry-After before trying the host again", async () => {
+  const requests = [];
+  const { port, close } = await serve((request, response) => {
+    requests.push({ url: request.url, time: Date.now() });
+    if (requests.length === 1) {
+      response.writeHead(429, { "Retry-After": "1" });
+      response.end();
+      return;
+    }
+    response.end("ok");
+  });
+
+  try {
+    const queue = new DownloadQueue({ concurrency: 1 });
+    const first = queue.fetch(`http://127.0.0.1:${port}/a`);
+    const second = queue.fetch(`http://127.0.0.1:${port}/b`);
+    await Promise.all([first, second]);
+
+    assert.equal(requests[0].url, "/a");
+    // The rate limit paused the whole host, not just the URL that hit it
+    const retried = requests.slice(1);
+    assert.equal(retried.length, 2);
+    retried.forEach(({ time }) => assert.ok(time - requests[0].time >= 950));
+    assert.equal(queue.stats.retries, 1);
+  } finally {
+    await close();
+  }
+});
+
+test("gives up after the last retry", async () => {
+  const { port, close } = await serve((request, response) => {
+    response.writeHead(503);
+    response.end();
+  });
+
+  try {
+    const queue = new DownloadQueue({ retries: 2, baseDelay: 10 });
+    await assert.rejects(queue.fetch(`http://127.0.0.1:${port}/down`), (error) => error.response.status === 503);
+    assert.deepEqual(
+      { retries: queue.stats.retries, failed: queue.stats.failed },
+      { retries: 2, failed: 1 }
+    );
+  } finally {
+    await close();
+  }
+});
+
+test("limits requests per host, not just overall", async () => {
+  const active = new Map();
+  const peak = new Map();
+  const { port, close } = await serve((request, response) => {
+    const host = request.headers.host.split(":")[0];
+    active.set(host, (active.get(host) || 0) + 1);
+    peak.set(host, Math.max(peak.get(host) || 0, active.get(host)));
+    setTimeout(() => {
+      active.set(host, active.get(host) - 1);
+      response.end("ok");
+    }, 50);
+  });
+
+  try {
+    const queue = new DownloadQueue({ concurrency: 4, perHost: 2 });
+    // Two host names for the same server count as different hosts
+    const urls = [];
+    for (let i = 0; i < 6; i++) {
+      urls.push(`http://127.0.0.1:${port}/${i}`, `http://localhost:${port}/${i}`);
+    }
+    await Promise.all(urls.map((url) => queue.fetch(url)));
+
+    assert.equal(peak.get("127.0.0.1"), 2);
+    assert.equal(peak.get("localhost"), 2);
+    assert.equal(queue.stats.completed, 12);
+  } finally {
+    await close();
+  }
+});
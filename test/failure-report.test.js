@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FailureReport } from "../lib/failure-report.js";
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status },
+});
+const networkError = (code, message = code) => Object.assign(new Error(message), { code });
+
+test("classifies HTTP statuses", () => {
+  assert.equal(FailureReport.classify(httpError(404)), "not-found");
+  assert.equal(FailureReport.classify(httpError(410)), "not-found");
+  assert.equal(FailureReport.classify(httpError(403)), "blocked");
+  assert.equal(FailureReport.classify(httpError(451)), "blocked");
+  assert.equal(FailureReport.classify(httpError(503)), "server-error");
+  assert.equal(FailureReport.classify(httpError(418)), "http-error");
+});
+
+test("classifies network errors from axios and the browser", () => {
+  assert.equal(FailureReport.classify(networkError("ENOTFOUND")), "dns");
+  assert.equal(FailureReport.classify(new Error("net::ERR_NAME_NOT_RESOLVED at https://x.test")), "dns");
+  assert.equal(FailureReport.classify(networkError("ECONNABORTED", "timeout of 10000ms exceeded")), "timeout");
+  assert.equal(FailureReport.classify(new Error("net::ERR_TIMED_OUT")), "timeout");
+  assert.equal(FailureReport.classify(new Error("net::ERR_BLOCKED_BY_CLIENT")), "blocked");
+  assert.equal(FailureReport.classify(new Error("Not recorded in HAR: https://x.test/a.css")), "offline");
+  assert.equal(FailureReport.classify(networkError("ECONNREFUSED")), "connection");
+  assert.equal(FailureReport.classify(new Error("net::ERR_CERT_DATE_INVALID")), "connection");
+  assert.equal(FailureReport.classify(new Error("something else")), "other");
+});
+
+test("--max-failures allows up to that many, --strict none", () => {
+  const failures = [
+    { url: "https://x.test/a.png", kind: "asset", cause: "not-found", reason: "404" },
+    { url: "https://x.test/b.png", kind: "asset", cause: "timeout", reason: "timeout" },
+  ];
+  const report = new FailureReport(failures);
+
+  assert.equal(report.exceeds(), false);
+  assert.equal(report.exceeds({ maxFailures: 2 }), false);
+  assert.equal(report.exceeds({ maxFailures: 1 }), true);
+  assert.equal(report.exceeds({ maxFailures: 0 }), true);
+  assert.equal(report.exceeds({ strict: true }), true);
+  assert.equal(new FailureReport().exceeds({ strict: true }), false);
+});
+
+test("groups failures by kind and cause", () => {
+  const report = new FailureReport([
+    { url: "https://x.test/", kind: "page", cause: "timeout", reason: "timeout" },
+    { url: "https://x.test/a.png", kind: "asset", cause: "not-found", reason: "404" },
+    { url: "https://x.test/b.png", kind: "asset", cause: "not-found", reason: "404" },
+  ]);
+
+  assert.deepEqual([...report.groupBy("kind")].map(([kind, items]) => [kind, items.length]), [
+    ["page", 1],
+    ["asset", 2],
+  ]);
+  assert.equal(report.groupBy("cause").get("not-found").length, 2);
+});
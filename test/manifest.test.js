@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { WebsiteCloner } from "../lib/website-cloner.js";
+import { SingleFileBuilder } from "../lib/single-file-builder.js";
+
+test("single-file builds record which assets were inlined and which stayed online", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "ui-clone-test-"));
+  await fs.outputFile(
+    path.join(root, "index.html"),
+    '<html><head><link rel="stylesheet" href="style.css"></head>' +
+      '<body><img src="assets/images/small.png"><img src="assets/images/big.png"></body></html>'
+  );
+  await fs.outputFile(path.join(root, "style.css"), "body { margin: 0; }");
+  await fs.outputFile(path.join(root, "assets/images/small.png"), Buffer.alloc(10));
+  await fs.outputFile(path.join(root, "assets/images/big.png"), Buffer.alloc(100));
+
+  const builder = new SingleFileBuilder({
+    inlineLimit: 50,
+    originals: new Map([["assets/images/big.png", "https://example.com/big.png"]]),
+  });
+  const html = await builder.build(root, "index.html");
+  await fs.remove(root);
+
+  assert.match(html, /src="https:\/\/example\.com\/big\.png"/);
+  assert.deepEqual(Object.fromEntries(builder.storage), {
+    "style.css": "inlined",
+    "assets/images/small.png": "inlined",
+    "assets/images/big.png": "online",
+  });
+});
+
+test("MHTML snapshots list the URL of every part", () => {
+  const mhtml = [
+    "From: <Saved by Blink>",
+    "Content-Type: multipart/related; boundary=\"b\"",
+    "",
+    "--b",
+    "Content-Type: text/html",
+    "Content-Location: https://example.com/",
+    "",
+    "<html></html>",
+    "--b",
+    "Content-Type: image/png",
+    "Content-Location: https://cdn.example.com/images/a-very-long-name",
+    " -that-was-folded.png",
+    "",
+    "--b",
+    "Content-Type: text/css",
+    "content-location: https://example.com/style.css",
+    "",
+    "--b--",
+  ].join("\r\n");
+
+  assert.deepEqual(new WebsiteCloner().getMHTMLLocations(mhtml), [
+    "https://example.com/",
+    "https://cdn.example.com/images/a-very-long-name-that-was-folded.png",
+    "https://example.com/style.css",
+  ]);
+});
+
+test("archives list their records in clone.json", async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "ui-clone-test-"));
+  const cloner = new WebsiteCloner();
+  const assets = [{ url: "https://example.com/a.png", archive: "archive.warc.gz", status: 200 }];
+  await cloner.writeManifest(outputDir, assets, { source: "https://example.com/", format: "warc" });
+
+  const manifest = await fs.readJson(path.join(outputDir, "clone.json"));
+  await fs.remove(outputDir);
+  assert.deepEqual(manifest.assets, assets);
+  assert.equal(manifest.format, "warc");
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sniffMimeType } from "../lib/mime-sniff.js";
+
+// A 1x1 bitmap: file header, BITMAPINFOHEADER and one padded pixel row
+function bitmap({ size, headerSize = 40 } = {}) {
+  const data = Buffer.alloc(58);
+  data.write("BM", 0, "latin1");
+  data.writeUInt32LE(size ?? data.length, 2);
+  data.writeUInt32LE(54, 10);
+  data.writeUInt32LE(headerSize, 14);
+  data.writeInt32LE(1, 18);
+  data.writeInt32LE(1, 22);
+  data.writeUInt16LE(1, 26);
+  data.writeUInt16LE(24, 28);
+  return data;
+}
+
+test("recognizes a bitmap by its header, not just BM", () => {
+  assert.equal(sniffMimeType(bitmap()), "image/bmp");
+  assert.equal(sniffMimeType(bitmap({ headerSize: 124 })), "image/bmp");
+  assert.equal(sniffMimeType(bitmap({ headerSize: 12 })), "image/bmp");
+});
+
+test("rejects BM files whose size or DIB header doesn't fit", () => {
+  assert.equal(sniffMimeType(bitmap({ size: 1000 })), null);
+  assert.equal(sniffMimeType(bitmap({ headerSize: 99 })), null);
+  assert.equal(sniffMimeType(Buffer.from("BM")), null);
+  assert.equal(sniffMimeType(Buffer.from("BMW drivers guide, chapter 1: getting started")), null);
+});
+
+test("recognizes image and font signatures", () => {
+  const bytes = (...values) => Buffer.from(values);
+  const text = (value) => Buffer.from(value, "latin1");
+
+  assert.equal(sniffMimeType(bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0)), "image/png");
+  assert.equal(sniffMimeType(bytes(0xff, 0xd8, 0xff, 0xe0)), "image/jpeg");
+  assert.equal(sniffMimeType(text("GIF89a")), "image/gif");
+  assert.equal(sniffMimeType(text("RIFF\x24\x00\x00\x00WEBPVP8 ")), "image/webp");
+  assert.equal(sniffMimeType(text("\x00\x00\x00\x1cftypavif")), "image/avif");
+  assert.equal(sniffMimeType(bytes(0x00, 0x00, 0x01, 0x00, 0x01, 0x00)), "image/x-icon");
+  assert.equal(sniffMimeType(text("wOF2\x00\x01")), "font/woff2");
+  assert.equal(sniffMimeType(text("wOFF\x00\x01")), "font/woff");
+  assert.equal(sniffMimeType(text("OTTO\x00\x0a")), "font/otf");
+  assert.equal(sniffMimeType(bytes(0x00, 0x01, 0x00, 0x00, 0x00, 0x0a)), "font/ttf");
+
+  const eot = Buffer.alloc(40);
+  eot.write("LP", 34, "latin1");
+  assert.equal(sniffMimeType(eot), "application/vnd.ms-fontobject");
+});
+
+test("recognizes SVG after a declaration, doctype or comment", () => {
+  const svg = (head) => Buffer.from(`${head}<svg xmlns="http://www.w3.org/2000/svg"></svg>`);
+
+  assert.equal(sniffMimeType(svg("")), "image/svg+xml");
+  assert.equal(sniffMimeType(svg('\uFEFF<?xml version="1.0"?>\n<!-- icon -->\n<!DOCTYPE svg>\n')), "image/svg+xml");
+  assert.equal(sniffMimeType(Buffer.from("<html><body><svg></svg></body></html>")), null);
+});
+
+test("returns null for empty or unknown data", () => {
+  assert.equal(sniffMimeType(null), null);
+  assert.equal(sniffMimeType(Buffer.alloc(0)), null);
+  assert.equal(sniffMimeType(Buffer.from("body { color: red; }")), null);
+  // Too short for the signature it starts like
+  assert.equal(sniffMimeType(Buffer.from([0x89, 0x50, 0x4e])), null);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import { RequestBlocker } from "../lib/request-blocker.js";
+import { WebsiteCloner } from "../lib/website-cloner.js";
+
+const pageUrl = "https://shop.example.com/";
+
+test("blocks a host and its subdomains", () => {
+  const blocker = new RequestBlocker(["||tracker.net^"]);
+  assert.equal(blocker.match("https://tracker.net/pixel.gif", { pageUrl })?.raw, "||tracker.net^");
+  assert.equal(blocker.match("https://cdn.tracker.net/t.js", { pageUrl })?.raw, "||tracker.net^");
+  assert.equal(blocker.match("https://nottracker.net/t.js", { pageUrl }), null);
+});
+
+test("exceptions let a blocked request through", () => {
+  const blocker = new RequestBlocker(["||tracker.net^", "@@||tracker.net/consent.js"]);
+  assert.equal(blocker.match("https://tracker.net/consent.js", { pageUrl }), null);
+  assert.ok(blocker.match("https://tracker.net/collect", { pageUrl }));
+});
+
+test("$third-party only applies across sites", () => {
+  const blocker = new RequestBlocker(["/ads/*$third-party"]);
+  assert.ok(blocker.match("https://adserver.io/ads/banner.js", { pageUrl }));
+  // Another subdomain of the page's site is first-party
+  assert.equal(blocker.match("https://static.example.com/ads/banner.js", { pageUrl }), null);
+
+  const firstParty = new RequestBlocker(["/ads/*$~third-party"]);
+  assert.ok(firstParty.match("https://static.example.com/ads/banner.js", { pageUrl }));
+  assert.equal(firstParty.match("https://adserver.io/ads/banner.js", { pageUrl }), null);
+});
+
+test("$domain limits a rule to the pages it names", () => {
+  const blocker = new RequestBlocker(["||widgets.io^$domain=example.com|~blog.example.com"]);
+  assert.ok(blocker.match("https://widgets.io/w.js", { pageUrl }));
+  assert.equal(blocker.match("https://widgets.io/w.js", { pageUrl: "https://blog.example.com/" }), null);
+  assert.equal(blocker.match("https://widgets.io/w.js", { pageUrl: "https://other.org/" }), null);
+});
+
+test("resource type options", () => {
+  const blocker = new RequestBlocker(["||cdn.io^$script", "||img.io^$~image"]);
+  assert.ok(blocker.match("https://cdn.io/a.js", { type: "script", pageUrl }));
+  assert.equal(blocker.match("https://cdn.io/a.png", { type: "image", pageUrl }), null);
+  assert.equal(blocker.match("https://img.io/a.png", { type: "image", pageUrl }), null);
+});
+
+test("parses hosts files and skips what it can't apply", () => {
+  const blocker = new RequestBlocker([
+    "! comment",
+    "0.0.0.0 ads.example.org",
+    "127.0.0.1 localhost",
+    "example.com##.banner",
+    "||cdn.io/*.js$redirect=noopjs",
+  ]);
+  assert.equal(blocker.size, 1);
+  assert.equal(blocker.skipped, 1);
+  assert.ok(blocker.match("https://ads.example.org/x", { pageUrl }));
+});
+
+test("asset downloads check rules against the page and the asset's type", async () => {
+  const server = http.createServer((request, response) => response.end("asset"));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  const pageUrl = `http://127.0.0.1:${port}/`;
+
+  try {
+    const cloner = new WebsiteCloner();
+    cloner.blocker = new RequestBlocker(["/images/*$third-party", "||127.0.0.1^$font"]);
+
+    // The site's own images survive a $third-party rule and a font-only rule
+    const firstParty = await cloner.fetchAsset(`${pageUrl}images/logo.png`, null, { type: "image", pageUrl });
+    assert.equal(firstParty.data.toString(), "asset");
+    cloner.outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "ui-clone-test-"));
+    const stored = await cloner.storeAsset(`${pageUrl}images/logo.png`, "images", undefined, pageUrl);
+    await fs.remove(cloner.outputDir);
+    assert.match(stored, /^assets\/images\/logo/);
+
+    await assert.rejects(
+      cloner.fetchAsset(`http://localhost:${port}/images/logo.png`, null, { type: "image", pageUrl }),
+      { code: "ERR_BLOCKED_BY_CLIENT" }
+    );
+    await assert.rejects(cloner.fetchAsset(`${pageUrl}a.woff2`, null, { type: "font", pageUrl }), {
+      code: "ERR_BLOCKED_BY_CLIENT",
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
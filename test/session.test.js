@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Session } from "../lib/session.js";
+
+function session(options = {}) {
+  const session = new Session({
+    headers: { Authorization: "Bearer secret" },
+    cookies: [
+      { name: "sid", value: "1", domain: ".example.com", path: "/", expires: -1, secure: false },
+      { name: "cdn", value: "2", domain: "cdn.other.net", path: "/", expires: -1, secure: false },
+    ],
+    ...options,
+  });
+  session.startHost = "www.example.com";
+  return session;
+}
+
+test("custom headers only go to the start host", () => {
+  const s = session();
+  assert.deepEqual(s.headersFor("https://www.example.com/app.css"), {
+    Authorization: "Bearer secret",
+    Cookie: "sid=1",
+  });
+  assert.deepEqual(s.headersFor("https://cdn.other.net/lib.js"), { Cookie: "cdn=2" });
+  assert.deepEqual(s.headersFor("https://www.google-analytics.com/collect"), {});
+});
+
+test("cookies still follow their own domain outside the header scope", () => {
+  const s = session();
+  assert.deepEqual(s.headersFor("https://static.example.com/logo.png"), { Cookie: "sid=1" });
+});
+
+test("--header-host adds hosts and their subdomains", () => {
+  const s = session({ headerHosts: ["API.example.net"] });
+  assert.equal(s.sendsHeadersTo("https://api.example.net/v1"), true);
+  assert.equal(s.sendsHeadersTo("https://eu.api.example.net/v1"), true);
+  assert.equal(s.sendsHeadersTo("https://example.net/"), false);
+  assert.equal(s.sendsHeadersTo("https://notapi.example.net/"), false);
+  assert.equal(s.sendsHeadersTo("not a url"), false);
+});
+
+test("parseHeaders splits on the first colon", () => {
+  assert.deepEqual(Session.parseHeaders(["X-Token: a:b"]), { "X-Token": "a:b" });
+  assert.throws(() => Session.parseHeaders(["broken"]), /Invalid header/);
+});
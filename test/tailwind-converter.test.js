@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+import { TailwindConverter } from "../lib/tailwind-converter.js";
+
+test("combines widths mobile-first into screen variants", () => {
+  const converter = new TailwindConverter();
+  const styles = converter.combine(
+    [
+      {
+        width: 1280,
+        styles: {
+          1: { base: { "padding-top": "32px", "flex-direction": "row" }, reset: { "padding-top": "0px", "flex-direction": "row" } },
+        },
+      },
+      {
+        width: 375,
+        styles: {
+          1: { base: { "padding-top": "16px", "flex-direction": "column" }, reset: { "padding-top": "0px", "flex-direction": "row" } },
+        },
+      },
+      {
+        width: 900,
+        styles: {
+          1: { base: { "padding-top": "16px" }, reset: { "padding-top": "0px" } },
+        },
+      },
+    ],
+    1280
+  );
+
+  assert.deepEqual(styles[1], {
+    base: { "padding-top": "16px", "flex-direction": "column" },
+    "min-[900px]": { "flex-direction": "row" },
+    xl: { "padding-top": "32px" },
+  });
+});
+
+test("sets inherited properties back to inherit where a wider width drops them", () => {
+  const converter = new TailwindConverter();
+  const styles = converter.combine(
+    [
+      { width: 375, styles: { 4: { base: { color: "rgb(0, 0, 255)" }, reset: { color: "inherit" } } } },
+      { width: 768, styles: {} },
+    ],
+    768
+  );
+
+  assert.deepEqual(styles[4], { base: { color: "rgb(0, 0, 255)" }, md: { color: "inherit" } });
+  const { classes } = converter.toClasses(styles[4]);
+  assert.deepEqual(classes, ["text-[#0000ff]", "md:[color:inherit]"]);
+});
+
+test("keeps font size and line height together in a variant", () => {
+  const converter = new TailwindConverter();
+  const styles = converter.combine(
+    [
+      { width: 375, styles: { 2: { base: { "font-size": "16px", "line-height": "28px" }, reset: {} } } },
+      { width: 1024, styles: { 2: { base: { "font-size": "18px", "line-height": "28px" }, reset: {} } } },
+    ],
+    1024
+  );
+
+  assert.deepEqual(styles[2].lg, { "font-size": "18px", "line-height": "28px" });
+});
+
+test("finds the element each state applies to", () => {
+  const converter = new TailwindConverter();
+  const targets = converter.stateSelectors([
+    "a:hover, .nav > li:focus-visible",
+    ".card:hover .title",
+    "button:hover::before",
+    ".input:focus:not(.plain), .btn:active",
+    ":hover",
+  ]);
+
+  assert.deepEqual(targets, [
+    { query: "a", states: ["hover"] },
+    { query: ".nav > li", states: ["focus-visible"] },
+    { query: ".input:not(.plain)", states: ["focus"] },
+    { query: ".btn", states: ["active"] },
+    { query: "*", states: ["hover"] },
+  ]);
+});
+
+test("ignores transitions when diffing a forced state", () => {
+  const converter = new TailwindConverter();
+  const changed = converter.stateChanges(
+    { color: "rgb(0, 0, 0)", "font-size": "16px", "line-height": "24px", "transition-duration": "0.2s" },
+    { color: "rgb(255, 0, 0)", "font-size": "18px", "line-height": "24px", "transition-duration": "0s" }
+  );
+
+  assert.deepEqual(changed, { color: "rgb(255, 0, 0)", "font-size": "18px", "line-height": "24px" });
+});
+
+test("renders states and screens after the plain utilities", () => {
+  const converter = new TailwindConverter();
+  const $ = cheerio.load('<div data-tw="0"></div>');
+  converter.apply($, {
+    0: {
+      base: { "padding-top": "16px", "padding-bottom": "16px" },
+      md: { "padding-top": "32px", "padding-bottom": "32px" },
+      hover: { "background-color": "rgb(255, 255, 255)" },
+      before: { content: '"x"' },
+    },
+  });
+
+  assert.equal($("div").attr("class"), "py-4 md:py-8 hover:bg-white before:content-['x']");
+  const css = converter.renderStylesheet($).trim().split("\n").slice(-6).join("\n");
+  assert.equal(
+    css,
+    [
+      ".py-4 { padding-top: 16px; padding-bottom: 16px; }",
+      ".before\\:content-\\[\\'x\\'\\]::before { content: \"x\"; }",
+      ".hover\\:bg-white:hover { background-color: rgb(255, 255, 255); }",
+      "@media (min-width: 768px) {",
+      "  .md\\:py-8 { padding-top: 32px; padding-bottom: 32px; }",
+      "}",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { WebsiteCloner } from "../lib/website-cloner.js";
+import { CloneCache } from "../lib/clone-cache.js";
+import { NetworkRecorder } from "../lib/network-recorder.js";
+
+test("orphan cleanup never leaves the output directory", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "ui-clone-test-"));
+  const outputDir = path.join(root, "site");
+  await fs.outputFile(path.join(root, "outside.txt"), "keep");
+  await fs.outputFile(path.join(outputDir, "assets/images/old.png"), "old");
+  await fs.outputFile(path.join(outputDir, "index.html"), "<html></html>");
+
+  const cloner = new WebsiteCloner();
+  cloner.previousCache = new CloneCache({
+    files: ["../outside.txt", path.join(root, "outside.txt"), "assets/images/old.png", "index.html"],
+  });
+  await cloner.saveCache("https://example.com/", outputDir, ["index.html"], { "index.html": "x" });
+
+  assert.equal(await fs.pathExists(path.join(root, "outside.txt")), true);
+  assert.equal(await fs.pathExists(path.join(outputDir, "assets/images/old.png")), false);
+  assert.equal(await fs.pathExists(path.join(outputDir, "index.html")), true);
+  await fs.remove(root);
+});
+
+test("isInsideDir rejects traversal and absolute paths", () => {
+  const cloner = new WebsiteCloner();
+  assert.equal(cloner.isInsideDir("/out", "assets/a.png"), true);
+  assert.equal(cloner.isInsideDir("/out", "..hidden/a.png"), true);
+  assert.equal(cloner.isInsideDir("/out", "../etc/passwd"), false);
+  assert.equal(cloner.isInsideDir("/out", "assets/../../x"), false);
+  assert.equal(cloner.isInsideDir("/out", "/etc/passwd"), false);
+  assert.equal(cloner.isInsideDir("/out", ""), false);
+  assert.equal(cloner.isInsideDir("/out", null), false);
+});
+
+// Just enough of a Puppeteer response for the recorder
+function fakeResponse(url, headers, resourceType = "image") {
+  let read = false;
+  const response = {
+    url: () => url,
+    status: () => 200,
+    statusText: () => "OK",
+    headers: () => headers,
+    remoteAddress: () => ({ ip: "127.0.0.1" }),
+    buffer: async () => {
+      read = true;
+      return Buffer.from("body");
+    },
+    request: () => ({
+      method: () => "GET",
+      resourceType: () => resourceType,
+      headers: () => ({}),
+      postData: () => undefined,
+    }),
+  };
+  return { response, wasRead: () => read };
+}
+
+test("browser responses matching the previous run are revalidated, not re-read", async () => {
+  const cloner = new WebsiteCloner();
+  cloner.previousCache = new CloneCache({
+    assets: {
+      "https://cdn.test/a.png": { localPath: "assets/images/a-1.png", hash: "h", etag: '"v1"', lastModified: null },
+    },
+  });
+  cloner.recorder = new NetworkRecorder({ isFresh: (url, headers) => cloner.isFresh(url, headers) });
+
+  const same = fakeResponse("https://cdn.test/a.png", { etag: '"v1"', "content-type": "image/png" });
+  await cloner.recorder.record(same.response);
+  assert.equal(same.wasRead(), false);
+
+  const previous = cloner.previousCache.assets["https://cdn.test/a.png"];
+  const result = await cloner.fetchAsset("https://cdn.test/a.png", previous);
+  assert.equal(result.notModified, true);
+
+  const changed = fakeResponse("https://cdn.test/a.png", { etag: '"v2"', "content-type": "image/png" });
+  await cloner.recorder.record(changed.response);
+  assert.equal(changed.wasRead(), true);
+  assert.equal((await cloner.fetchAsset("https://cdn.test/a.png", previous)).data.toString(), "body");
+});
+
+test("stylesheets are always read, whatever the cache says", async () => {
+  const cloner = new WebsiteCloner();
+  cloner.previousCache = new CloneCache({
+    assets: { "https://cdn.test/a.css": { localPath: "x", hash: "h", etag: '"v1"' } },
+  });
+  const recorder = new NetworkRecorder({ isFresh: (url, headers) => cloner.isFresh(url, headers) });
+  const sheet = fakeResponse("https://cdn.test/a.css", { etag: '"v1"' }, "stylesheet");
+  await recorder.record(sheet.response);
+  assert.equal(sheet.wasRead(), true);
+});